@@ -5,3 +5,14 @@ let LayeredConfiguration = require('./lib/LayeredConfiguration.js');
 // Export both, an configuration instance for direct use and the class
 module.exports = new LayeredConfiguration();
 module.exports.LayeredConfiguration = LayeredConfiguration;
+module.exports.UNSET = LayeredConfiguration.UNSET;
+module.exports.secret = LayeredConfiguration.secret;
+module.exports.Schema = require('./lib/Schema.js');
+module.exports.ValidationError = require('./lib/ValidationError.js');
+module.exports.formats = {
+    hjson: require('./lib/formats/hjson.js'),
+    json: require('./lib/formats/json.js'),
+    yaml: require('./lib/formats/yaml.js'),
+    toml: require('./lib/formats/toml.js'),
+    ini: require('./lib/formats/ini.js')
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+let fs = require('fs');
+
+/**
+ * Watches a directory for changes and calls a function once the changes have settled down.
+ *
+ * Single files are watched by watching the directory they reside in, so the watch survives editors that replace a
+ * file instead of writing into it.
+ *
+ * @class FileWatcher
+ */
+class FileWatcher {
+
+    // region -- Constructor ------------------------------------------------------------------------------------------
+
+    /**
+     * @param  {String}     directoryPath       The directory to watch
+     * @param  {Object}     options             Options controlling the watcher
+     * @param  {Function}   options.onChange    The function to call when files have changed
+     * @param  {Function}   options.onError     The function to call when the watcher fails
+     * @param  {Function}   [options.filter]    A function that is called with the name of each changed file and
+     *                                          returns `true` if the change is relevant. The name may be `null` if
+     *                                          the platform does not provide it.
+     * @param  {Number}     [options.debounce=100] The number of milliseconds to wait for further changes before
+     *                                          calling `options.onChange`
+     */
+    constructor(directoryPath, options) {
+        /**
+         * @property {String} directoryPath
+         * The path of the watched directory
+         */
+        this.directoryPath = directoryPath;
+
+        /**
+         * @private
+         * @property {Number} debounce
+         * The number of milliseconds to wait for further changes
+         */
+        this.debounce = options.debounce === undefined ? 100 : options.debounce;
+
+        /**
+         * @private
+         * @property {Object} timer
+         * The timer of the pending change notification
+         */
+        this.timer = null;
+
+        let filter = options.filter || (() => true);
+
+        /**
+         * @private
+         * @property {Function} onChange
+         * The function to call when files have changed
+         */
+        this.onChange = options.onChange;
+
+        /**
+         * @private
+         * @property {fs.FSWatcher} watcher
+         * The underlying file system watcher
+         */
+        this.watcher = fs.watch(directoryPath, (eventType, fileName) => {
+            if (filter(fileName ? String(fileName) : null)) {
+                this.schedule();
+            }
+        });
+        this.watcher.on('error', options.onError);
+    }
+
+    // endregion Constructor
+
+    // region -- Internal helper functions ----------------------------------------------------------------------------
+
+    /**
+     * @private
+     * (Re-)starts the timer for the change notification
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.onChange();
+        }, this.debounce);
+    }
+
+    // endregion Internal helper functions
+
+    // region -- Externally used interface ----------------------------------------------------------------------------
+
+    /**
+     * Stops watching the directory. Pending change notifications are discarded.
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.watcher.close();
+    }
+
+    // endregion Externally used interface
+
+}
+
+module.exports = FileWatcher;
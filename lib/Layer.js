@@ -1,6 +1,7 @@
 'use strict';
 
 let _ = require('lodash');
+let tombstone = require('./tombstone.js');
 
 /**
  * @class Layer
@@ -22,12 +23,33 @@ class Layer {
          */
         this.writeToDisk = Boolean(writeToDisk);
 
+        /**
+         * @property {Boolean} readOnly
+         * If set to `true`, the data of this layer cannot be changed using LayeredConfiguration#set() and
+         * LayeredConfiguration#clearLayer(). Reloading the layer from its source file is still possible.
+         */
+        this.readOnly = false;
+
         /**
          * @private
          * @property {Object} data
          * Internal data storage for the configuration data
          */
         this.data = configData ? _.cloneDeep(configData) : {};
+
+        /**
+         * @property {String} sourceFile
+         * The absolute path of the file this layer has been loaded from - `null` if it has not been loaded from a file
+         */
+        this.sourceFile = null;
+
+        /**
+         * @private
+         * @property {String} sourceText
+         * The contents of the file this layer has been loaded from. It is used to keep comments and formatting when
+         * the layer is saved again.
+         */
+        this.sourceText = null;
     }
 
     // endregion Constructor
@@ -104,7 +126,8 @@ class Layer {
             // We have to recurse deeper
             if (
                 !currentContext.hasOwnProperty(pathElement) ||
-                !_.isPlainObject(currentContext[pathElement])
+                !_.isPlainObject(currentContext[pathElement]) ||
+                tombstone.isTombstone(currentContext[pathElement])
             ) {
                 currentContext[pathElement] = {};
             }
@@ -123,6 +146,26 @@ class Layer {
         this.data = {};
     }
 
+    /**
+     * Replaces the data stored in this layer
+     *
+     * @param  {Object} configData  The new configuration data - it will be copied
+     */
+    setData(configData) {
+        this.data = configData ? _.cloneDeep(configData) : {};
+    }
+
+    /**
+     * Records the file this layer's data has been loaded from
+     *
+     * @param  {String} filePath        The absolute path of the file
+     * @param  {String} [text=null]     The contents of the file
+     */
+    setSource(filePath, text) {
+        this.sourceFile = filePath;
+        this.sourceText = _.isString(text) ? text : null;
+    }
+
     /**
      * Traverses a configuration object and returns the element at the position given in the path array
      *
@@ -135,6 +178,33 @@ class Layer {
         return this.doGetConfigurationNode(pathArray.concat(), this.data);
     }
 
+    /**
+     * Checks if the given path has been deleted by a tombstone (see LayeredConfiguration.UNSET) - either at the path
+     * itself or at one of its ancestors
+     *
+     * @param  {String[]}   pathArray   An array containing the path segments
+     * @return {Boolean}                `true` if the path has been deleted
+     */
+    isUnset(pathArray) {
+        let context = this.data;
+        let result = tombstone.isTombstone(context);
+        _.forEach(pathArray, pathElement => {
+            if (result) {
+                return false;
+            }
+            if (!_.isString(pathElement) || !pathElement.trim()) {
+                // Ignore illegal path elements
+                return;
+            }
+            if (!_.isPlainObject(context) || !context.hasOwnProperty(pathElement)) {
+                return false;
+            }
+            context = context[pathElement];
+            result = tombstone.isTombstone(context);
+        });
+        return result;
+    }
+
     /**
      * Stores a new value at the given position inside the configuration hierarchy
      *
@@ -142,7 +212,7 @@ class Layer {
      * @param  {*}          value             The value to store
      */
     setConfigurationNode(pathArray, value) {
-        this.doSetConfigurationNode(pathArray, value, this.data);
+        this.doSetConfigurationNode(pathArray.concat(), value, this.data);
     }
 
     // endregion Externally used interface
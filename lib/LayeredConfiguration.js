@@ -1,20 +1,60 @@
 'use strict';
 
 let _ = require('lodash');
-let Hjson = require('hjson');
 let fs = require('fs');
 let path = require('path');
 let async = require('async');
+let EventEmitter = require('events').EventEmitter;
 let Layer = require('./Layer.js');
+let FileWatcher = require('./FileWatcher.js');
+let merge = require('./merge.js');
+let diff = require('./diff.js');
+let defaultFormats = require('./formats/index.js');
+let dotEnv = require('./dotEnv.js');
+let fileUtils = require('./fileUtils.js');
+let interpolate = require('./interpolate.js');
+let defaultResolvers = require('./resolvers.js');
+let coerce = require('./coerce.js');
+let argvParser = require('./argv.js');
+let tombstone = require('./tombstone.js');
+let secrets = require('./secrets.js');
+let Secret = require('./Secret.js');
+let Schema = require('./Schema.js');
+let ValidationError = require('./ValidationError.js');
 
 /**
+ * @private
+ * The operations that are recorded inside the history - see #setHistoryDepth()
+ */
+const RECORDED_OPERATIONS = ['set', 'addLayer', 'removeLayer', 'clearLayer', 'transaction'];
+
+/**
+ * Events:
+ *
+ * Whenever an operation changes the effective configuration (the merged data of all layers), the instance emits an
+ * event named by the operation (`set`, `addLayer`, `moveLayer`, `removeLayer`, `clearLayer`, `load`, `restore`,
+ * `transaction`, `undo` or `redo`) and a `change` event. Both events receive the same event object:
+ *
+ * - `type`:     The name of the operation
+ * - `path`:     The configuration path the operation affected - an empty string for operations on whole layers
+ * - `layer`:    The name of the layer - or the list of layer names - the operation affected
+ * - `oldValue`: The effective value at `path` before the operation
+ * - `newValue`: The effective value at `path` after the operation
+ * - `changes`:  The list of changed leaf values, each containing the `path`, the `oldValue` and the `newValue`
+ *
+ * Operations that do not change the effective configuration - like adding a layer whose values are all shadowed by
+ * layers with a higher priority - do not emit any events.
+ *
+ * If automatically reloading a watched file or directory fails, an `error` event is emitted.
+ *
  * @class LayeredConfiguration
  */
-class LayeredConfiguration {
+class LayeredConfiguration extends EventEmitter {
 
     // region -- Constructor ------------------------------------------------------------------------------------------
 
     constructor() {
+        super();
         /**
          * @property {Object} layers
          * Internal storage for the configruation layers' data
@@ -32,6 +72,100 @@ class LayeredConfiguration {
          * The separator to use when describing a configuration path hierarchy
          */
         this.pathSeparator = '.';
+        /**
+         * @property {String/Object} arrayMergeStrategy
+         * The strategy used by #getMerged() to merge arrays found in multiple layers. Either one of the strategy names
+         * `replace`, `concat`, `union` or `mergeByKey` or an object like `{strategy: 'mergeByKey', key: 'name'}`.
+         * The strategy can be overridden for specific paths by using #setArrayMergeStrategy().
+         */
+        this.arrayMergeStrategy = 'replace';
+        /**
+         * @private
+         * @property {Object[]} arrayMergeStrategies
+         * The path-specific array merge strategies - each entry contains the `pathArray` and the normalized `strategy`
+         */
+        this.arrayMergeStrategies = [];
+        /**
+         * @property {Schema} schema
+         * The schema the configuration data is validated against - `null` if no schema is attached
+         */
+        this.schema = null;
+        /**
+         * @private
+         * @property {Number} changeTrackingDepth
+         * The nesting depth of the currently running operations that track changes. Only the outermost operation
+         * emits events.
+         */
+        this.changeTrackingDepth = 0;
+        /**
+         * @private
+         * @property {Object} fileWatchers
+         * The watchers of the files and directories that are reloaded automatically - stored by their absolute path
+         */
+        this.fileWatchers = {};
+        /**
+         * @private
+         * @property {Object} fileFormats
+         * The file formats that can be loaded and saved - stored by their lower case file extension
+         */
+        this.fileFormats = _.clone(defaultFormats);
+        /**
+         * @property {Number} backupCount
+         * The number of backups to keep when saving files. Before a file is overwritten, its previous content is
+         * stored as `<file>.bak.1`, older backups are renamed to `<file>.bak.2` and so on. Set to `0` to disable
+         * backups. Can be overridden using the `backups` option of the save functions.
+         */
+        this.backupCount = 0;
+        /**
+         * @private
+         * @property {Object} resolvers
+         * The functions resolving placeholders like `${env:NAME}` - stored by their prefix
+         */
+        this.resolvers = _.clone(defaultResolvers);
+        /**
+         * @private
+         * @property {Function[]} validators
+         * The functions checking the effective configuration - see #addValidator()
+         */
+        this.validators = [];
+        /**
+         * @private
+         * @property {Number} historyDepth
+         * The maximum number of operations that can be undone - `0` if the history is disabled
+         */
+        this.historyDepth = 0;
+        /**
+         * @private
+         * @property {Object[]} historyEntries
+         * The recorded operations, oldest first - each containing the states of the affected layers before and after
+         * the operation
+         */
+        this.historyEntries = [];
+        /**
+         * @private
+         * @property {Number} historyPosition
+         * The number of recorded operations that are currently applied - entries behind it can be redone
+         */
+        this.historyPosition = 0;
+        /**
+         * @private
+         * @property {String[][]} secretPaths
+         * The paths that have been marked as secret by writing wrapped values (see #secret()) or by loading
+         * encrypted values
+         */
+        this.secretPaths = [];
+        /**
+         * @private
+         * @property {Array} secretPatterns
+         * The patterns added using #addSecretPattern() - string patterns are stored split into their parts
+         */
+        this.secretPatterns = [];
+        /**
+         * @private
+         * @property {Buffer} encryptionKey
+         * The key used to encrypt and decrypt secret values inside files - `null` if encryption is disabled
+         */
+        this.encryptionKey = null;
     }
 
     // endregion Constructor
@@ -40,82 +174,1276 @@ class LayeredConfiguration {
 
     /**
      * @private
-     * Splits the given path into an array of path components using the separator and cleans up all illegal path
-     * components (consecutive separators, empty path component names)
+     * Splits the given path into an array of path components using the separator and cleans up all illegal path
+     * components (consecutive separators, empty path component names)
+     *
+     * @param  {String}     path    The path to split
+     * @return {String[]}           An array containing the path components
+     */
+    splitPath(path) {
+        if (!_.isString(path)) {
+            throw new TypeError('path needs to be a String');
+        }
+        return path.split(this.pathSeparator).filter(item => {
+            // Remove illegal path elements
+            return _.isString(item) && Boolean(item.trim());
+        }).map(item => {
+            return item.trim();
+        });
+    }
+
+    /**
+     * @private
+     * Checks if a path taken from external input can be written without altering the prototypes of the objects
+     * it passes - paths containing `__proto__`, `constructor` or `prototype` cannot.
+     *
+     * @param  {String[]}   pathArray   The path to check
+     * @return {Boolean}                `true` if the path is safe to write
+     */
+    isSafePath(pathArray) {
+        return _.intersection(pathArray, ['__proto__', 'constructor', 'prototype']).length === 0;
+    }
+
+    /**
+     * Replaces unwanted characters inside layer names with "_"
+     *
+     * @param  {String} layerName  The layer name to normalize
+     * @return {String}            The normalized layer name
+     */
+    normalizeLayerName(layerName) {
+        let regex = /[\.\/\\:]/ig;
+        return layerName.replace(regex, '_');
+    }
+
+    /**
+     * @private
+     * Converts environment variables into configuration data ready to use in configuration layers
+     *
+     * @param  {Object}  options                        A configuration object that controls which environment variables
+     *                                                  will be loaded and how their names will be converted to
+     *                                                  configuration paths.
+     * @param  {Boolean}  [options.lowerCase=true]      Convert the environment variable names to lower case?
+     * @param  {String}   [options.separator=undefined] If set, create a configuration path by using this character as
+     *                                                  splitter
+     * @param  {String[]} [options.whitelist=[]]        If non-empty: Only import the environment variables that are
+     *                                                  inside this list
+     * @param  {RegExp}   [options.match=undefined]     If set, only import those environment variables that match this
+     *                                                  regular expression
+     * @param  {Boolean/String} [options.coerce=false]  How to convert the values - see #loadFromEnv()
+     * @param  {String}   [options.listSeparator]       The string separating the items of lists - see #loadFromEnv()
+     * @param  {String}   [options.prefix]              If set, only import the variables starting with this prefix
+     *                                                  and strip it from their names
+     * @param  {String}   [options.nestingSeparator]    Alias of `separator`, taking precedence over it
+     * @param  {Object}   [options.mapping]             Variable names mapped to the configuration paths to store them
+     *                                                  at
+     * @param  {Object}   [variables=process.env]       The environment variables to convert
+     * @param  {String}   [layerName]                   The name of the layer the data is stored in. Guided coercion
+     *                                                  ignores the values of this layer.
+     *
+     * @return {Object}                                 The configurationData object that has been parsed from
+     *                                                  the environment variables
+     */
+    getEnvData(options, variables, layerName) {
+        let data = {};
+
+        options = options || {};
+        options.separator = options.nestingSeparator || options.separator || undefined;
+        options.lowerCase = options.hasOwnProperty('lowerCase') ? (Boolean)(options.lowerCase) : true;
+        options.whitelist = options.whitelist || [];
+        if (options.mapping !== undefined && !_.isPlainObject(options.mapping)) {
+            throw new TypeError('mapping needs to be an Object');
+        }
+        if (options.prefix !== undefined && !_.isString(options.prefix)) {
+            throw new TypeError('prefix needs to be a string');
+        }
+        let mapping = {};
+        _.forEach(options.mapping, (targetPath, name) => {
+            if (!_.isString(targetPath) || this.splitPath(targetPath).length === 0) {
+                throw new TypeError('The mapping of ' + name + ' needs to be a configuration path');
+            }
+            mapping[options.lowerCase ? name.toLowerCase() : name] = this.splitPath(targetPath);
+        });
+        let prefix = options.prefix || '';
+        if (options.lowerCase) {
+            prefix = prefix.toLowerCase();
+        }
+        options.coerce = this.normalizeCoerceOption(options.coerce);
+
+        _.forEach(variables || process.env, (value, key) => {
+            if (options.lowerCase) {
+                key = key.toLowerCase();
+            }
+            if (mapping.hasOwnProperty(key)) {
+                // Explicitly mapped variables are always used
+                let pathArray = mapping[key];
+                _.setWith(data, pathArray, this.coerceValue(value, pathArray, options, layerName), Object);
+                return;
+            }
+            // Use the current var?
+            if (
+                (
+                    (!options.match && options.whitelist.length === 0) ||
+                    (options.match && key.match(options.match)) ||
+                    (options.whitelist.length > 0 && options.whitelist.indexOf(key) !== -1)
+                ) &&
+                key.indexOf(prefix) === 0 && key.length > prefix.length
+            ) {
+                // Okay - write the contents to the output
+                key = key.slice(prefix.length);
+                let pathArray = options.separator ? _.compact(key.split(options.separator)) : _.toPath(key);
+                if (!this.isSafePath(pathArray)) {
+                    // Skip variables that would alter prototypes
+                    return;
+                }
+                if (options.separator) {
+                    _.setWith(data, pathArray, this.coerceValue(value, pathArray, options, layerName), Object);
+                } else {
+                    _.set(data, pathArray, this.coerceValue(value, pathArray, options, layerName));
+                }
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * @private
+     * Normalizes the value of a `coerce` option
+     *
+     * @param  {Boolean/String} coerceOption    The value of the option
+     * @return {Boolean/String}                 `false`, `'auto'` or `'guided'`
+     */
+    normalizeCoerceOption(coerceOption) {
+        if (coerceOption === true) {
+            return 'auto';
+        }
+        if (coerceOption && coerceOption !== 'auto' && coerceOption !== 'guided') {
+            throw new TypeError('coerce needs to be a boolean, \'auto\' or \'guided\'');
+        }
+        return coerceOption || false;
+    }
+
+    /**
+     * @private
+     * Converts a string value loaded from the environment or the command line according to the `coerce` option
+     *
+     * @param  {String}     value       The string value
+     * @param  {String[]}   pathArray   The configuration path the value is stored at
+     * @param  {Object}     options     The options containing the normalized `coerce` option and the `listSeparator`
+     * @param  {String}     [layerName] The name of the layer the value is stored in
+     * @return {*}                      The converted value
+     */
+    coerceValue(value, pathArray, options, layerName) {
+        if (!options.coerce) {
+            return value;
+        }
+        if (options.coerce === 'auto') {
+            return coerce.coerce(value, {listSeparator: options.listSeparator});
+        }
+        // Guided: Use the type of the schema or - if the schema does not know it - of the values in the other layers
+        let types;
+        let itemTypes;
+        let definition = this.schema ? this.schema.getDefinition(pathArray) : undefined;
+        if (definition && definition.type !== undefined) {
+            types = _.castArray(definition.type);
+            if (_.isPlainObject(definition.items) && definition.items.type !== undefined) {
+                itemTypes = _.castArray(definition.items.type);
+            }
+        } else {
+            let existing;
+            let ownLayerName = layerName ? this.normalizeLayerName(layerName) : null;
+            _.forEach(_.without(this.layerNames, ownLayerName), otherLayerName => {
+                existing = tombstone.strip(this.getLayer(otherLayerName).getConfigurationNode(pathArray));
+                if (existing !== undefined && existing !== null) {
+                    return false;
+                }
+            });
+            if (existing !== undefined && existing !== null) {
+                types = [coerce.getType(existing)];
+                if (_.isArray(existing) && existing.length > 0) {
+                    itemTypes = [coerce.getType(existing[0])];
+                }
+            }
+        }
+        if (!types) {
+            return value;
+        }
+        return coerce.coerce(value, {types: types, itemTypes: itemTypes, listSeparator: options.listSeparator});
+    }
+
+    /**
+     * @private
+     * Returns the names of the layers to query in the order they shall be queried
+     *
+     * @param  {String/String[]}    [restrictToLayer=null]  One or more layers to restrict a query to
+     * @return {String[]}                                   The names of the layers to query
+     */
+    getLayerNamesToQuery(restrictToLayer) {
+        if (!_.isString(restrictToLayer) && restrictToLayer !== undefined && !_.isArray(restrictToLayer)) {
+            throw new TypeError('restrictToLayer needs to be a String');
+        }
+        return restrictToLayer ? _.castArray(restrictToLayer) : this.layerNames;
+    }
+
+    /**
+     * @private
+     * Returns the normalized array merge strategy to use for the array at the given path
+     *
+     * @param  {String[]}   pathArray   The path of the array to merge
+     * @return {Object}                 The normalized strategy
+     */
+    getArrayMergeStrategy(pathArray) {
+        let entry = _.find(this.arrayMergeStrategies, item => _.isEqual(item.pathArray, pathArray));
+        return entry ? entry.strategy : merge.normalizeArrayStrategy(this.arrayMergeStrategy);
+    }
+
+    /**
+     * @private
+     * Creates a ValidationError from a list of errors returned by Schema#validate()
+     *
+     * @param  {Object[]}           errors  The errors returned by Schema#validate()
+     * @return {ValidationError}            The error to throw
+     */
+    createValidationError(errors) {
+        errors = _.map(errors, error => {
+            return {path: error.pathArray.join(this.pathSeparator), message: error.message};
+        });
+        let message = 'Invalid configuration: ' + _.map(errors, error => {
+            return (error.path || '<root>') + ' ' + error.message;
+        }).join(', ');
+        return new ValidationError(message, errors);
+    }
+
+    /**
+     * @private
+     * Validates the data of a single layer against the attached schema without checking required properties. Values
+     * containing references are skipped - they are checked by #validate() once they have been resolved.
+     *
+     * @param  {Object}     configurationData   The layer data to validate
+     * @return {Object[]}                       The errors returned by Schema#validate()
+     */
+    getLayerDataErrors(configurationData) {
+        let data = tombstone.strip(configurationData) || {};
+        return _.reject(this.schema.validate(data, {partial: true}), error => {
+            return interpolate.hasReferences(error.pathArray.length > 0 ? _.get(data, error.pathArray) : data);
+        });
+    }
+
+    /**
+     * @private
+     * Validates the data of a single layer against the attached schema. Since a layer usually contains only a part of
+     * the configuration, required properties are not checked. Values containing references are not checked either.
+     *
+     * @param  {Object} configurationData   The layer data to validate
+     * @throws {ValidationError}            If the data does not match the schema
+     */
+    validateLayerData(configurationData) {
+        if (!this.schema || configurationData === undefined) {
+            return;
+        }
+        let errors = this.getLayerDataErrors(configurationData);
+        if (errors.length > 0) {
+            throw this.createValidationError(errors);
+        }
+    }
+
+    /**
+     * @private
+     * Makes sure that the data of a layer may be changed
+     *
+     * @param  {Layer}  [layer]     The layer to check - non-existing layers are writable
+     * @throws {Error}              If the layer is read-only
+     */
+    checkWritable(layer) {
+        if (layer && layer.readOnly) {
+            throw new Error('Layer ' + layer.name + ' is read-only');
+        }
+    }
+
+    /**
+     * @private
+     * Freezes a configuration node and all of its children
+     *
+     * @param  {*}  node    The node to freeze
+     * @return {*}          The frozen node
+     */
+    deepFreeze(node) {
+        if (_.isObject(node)) {
+            _.forEach(node, child => {
+                this.deepFreeze(child);
+            });
+            Object.freeze(node);
+        }
+        return node;
+    }
+
+    /**
+     * @private
+     * Replaces all layers with the layers stored inside a snapshot without tracking the changes. The history refers
+     * to the restored layers instead of the replaced layers having the same names.
+     *
+     * @param  {Object} snapshot    The snapshot created by #snapshot()
+     */
+    restoreLayers(snapshot) {
+        let layers = {};
+        _.forEach(snapshot.layers, state => {
+            layers[state.name] = this.createLayerFromState(state);
+            if (this.layers.hasOwnProperty(state.name)) {
+                this.replaceHistoryLayer(this.layers[state.name], layers[state.name]);
+            }
+        });
+        this.layers = layers;
+        this.layerNames = _.map(snapshot.layers, 'name');
+    }
+
+    /**
+     * @private
+     * Captures the state of a layer - as stored inside snapshots
+     *
+     * @param  {Layer}  layer   The layer to capture
+     * @return {Object}         The layer's name, a deep copy of its data, its flags and its source
+     */
+    captureLayer(layer) {
+        return {
+            name: layer.name,
+            data: _.cloneDeep(layer.data),
+            readOnly: layer.readOnly,
+            writeToDisk: layer.writeToDisk,
+            sourceFile: layer.sourceFile,
+            sourceText: layer.sourceText
+        };
+    }
+
+    /**
+     * @private
+     * Creates a layer from a state captured by #captureLayer()
+     *
+     * @param  {Object} state   The captured state
+     * @return {Layer}          The new layer
+     */
+    createLayerFromState(state) {
+        let layer = new Layer(state.name, state.data, state.writeToDisk);
+        layer.readOnly = state.readOnly;
+        layer.setSource(state.sourceFile, state.sourceText);
+        return layer;
+    }
+
+    /**
+     * @private
+     * Captures the state of a layer including its position inside the search order - used by the history
+     *
+     * @param  {String} layerName   The normalized name of the layer
+     * @return {Object}             The captured state - with an `index` of `-1` if the layer does not exist
+     */
+    captureLayerState(layerName) {
+        let index = this.layerNames.indexOf(layerName);
+        if (index === -1) {
+            return {name: layerName, index: -1};
+        }
+        return _.assign({index: index}, this.captureLayer(this.layers[layerName]));
+    }
+
+    /**
+     * @private
+     * Captures what an operation may change before it is run - used by the history. Writes capture the value at the
+     * written path only, all other operations capture the whole state of the affected layers.
+     *
+     * Transactions replace the layer objects when they are committed - their layers are compared by name instead of
+     * by identity.
+     *
+     * @param  {String}     type        The type of the operation
+     * @param  {String[]}   pathArray   The path the operation affects
+     * @param  {String[]}   layerNames  The normalized names of the affected layers
+     * @return {Object[]}               The captured states - one per layer
+     */
+    captureHistoryStates(type, pathArray, layerNames) {
+        return _.map(layerNames, layerName => {
+            let layer = this.layers[layerName];
+            if (type !== 'set' || !layer) {
+                return _.assign(this.captureLayerState(layerName), {layer: layer, byName: type === 'transaction'});
+            }
+            // Capture the topmost node the write creates or replaces, so undoing it does not leave empty objects
+            let capturedPathArray = _.find(_.map(_.range(1, pathArray.length), length => _.take(pathArray, length)),
+                prefix => {
+                    let node = layer.getConfigurationNode(prefix);
+                    return !_.isPlainObject(node) || tombstone.isTombstone(node);
+                }
+            ) || pathArray;
+            return {
+                name: layerName,
+                layer: layer,
+                pathArray: capturedPathArray,
+                value: _.cloneDeep(layer.getConfigurationNode(capturedPathArray))
+            };
+        });
+    }
+
+    /**
+     * @private
+     * Compares the states captured by #captureHistoryStates() with the current state and returns the changes to
+     * record. Changes of values are recorded per path - only layers that have been added, removed or replaced are
+     * recorded as a whole.
+     *
+     * @param  {Object[]}   states  The captured states
+     * @return {Object[]}           The changes, each containing the `layer` name and either the `pathArray`, the
+     *                              `before` and `after` values and the `target` layer they have been written to or
+     *                              the `before` and `after` states of the layer and the `beforeLayer` and
+     *                              `afterLayer` objects
+     */
+    getHistoryChanges(states) {
+        let changes = [];
+        _.forEach(states, state => {
+            let layer = this.layers[state.name];
+            if (state.pathArray && layer === state.layer) {
+                let value = layer.getConfigurationNode(state.pathArray);
+                if (!_.isEqual(value, state.value)) {
+                    changes.push({
+                        layer: state.name,
+                        target: layer,
+                        pathArray: state.pathArray,
+                        before: state.value,
+                        after: _.cloneDeep(value)
+                    });
+                }
+                return;
+            }
+            let before = _.omit(state, ['layer', 'byName']);
+            if (state.layer && layer && (layer === state.layer || state.byName)) {
+                _.forEach(diff.diffNodes(before.data, layer.data), change => {
+                    changes.push({
+                        layer: state.name,
+                        target: layer,
+                        pathArray: change.pathArray,
+                        before: change.oldValue,
+                        after: _.cloneDeep(change.newValue)
+                    });
+                });
+            } else if (state.layer || layer) {
+                changes.push({
+                    layer: state.name,
+                    before: state.layer ? before : null,
+                    after: layer ? this.captureLayerState(state.name) : null,
+                    beforeLayer: state.layer || null,
+                    afterLayer: layer || null
+                });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * @private
+     * Replaces a layer object referenced by the recorded changes - used when the history, a snapshot or a
+     * transaction replaces a layer by an equal one
+     *
+     * @param  {Layer}  oldLayer    The layer object to replace
+     * @param  {Layer}  newLayer    The layer object to refer to instead
+     */
+    replaceHistoryLayer(oldLayer, newLayer) {
+        _.forEach(this.historyEntries, entry => {
+            _.forEach(entry.changes, change => {
+                _.forEach(['target', 'beforeLayer', 'afterLayer'], key => {
+                    if (change[key] === oldLayer) {
+                        change[key] = newLayer;
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * @private
+     * Applies recorded changes without tracking them. Values are written into their layers, layers are added or
+     * removed. Nothing is applied if one of the layers has been replaced by an operation that is not recorded - like
+     * loading a file into it - or if a value would be written into a read-only layer.
+     *
+     * @param  {Object[]}   changes     The changes recorded by #getHistoryChanges()
+     * @param  {Boolean}    undo        `true` to restore the values before the changes, `false` to restore the
+     *                                  values after them
+     */
+    applyHistoryChanges(changes, undo) {
+        _.forEach(changes, change => {
+            let layer = this.layers[change.layer] || null;
+            let expectedLayer = change.pathArray ? change.target : change[undo ? 'afterLayer' : 'beforeLayer'];
+            if (layer !== expectedLayer || (change.pathArray && layer.readOnly)) {
+                throw new Error('Cannot ' + (undo ? 'undo' : 'redo') + ' the operation since the layer ' +
+                    change.layer + ' has been replaced or is read-only');
+            }
+        });
+        _.forEach(undo ? changes.concat().reverse() : changes, change => {
+            let value = undo ? change.before : change.after;
+            if (!change.pathArray) {
+                this.removeSingleLayer(change.layer);
+                if (value) {
+                    let layer = this.createLayerFromState(value);
+                    this.replaceHistoryLayer(change[undo ? 'beforeLayer' : 'afterLayer'], layer);
+                    this.layers[value.name] = layer;
+                    this.layerNames.splice(Math.min(value.index, this.layerNames.length), 0, value.name);
+                }
+                return;
+            }
+            if (change.pathArray.length === 0) {
+                change.target.setData(value);
+            } else {
+                change.target.setConfigurationNode(change.pathArray, _.cloneDeep(value));
+            }
+        });
+    }
+
+    /**
+     * @private
+     * Records an operation inside the history. Entries that have been undone are dropped and the oldest entries are
+     * removed if the history exceeds the #historyDepth.
+     *
+     * @param  {String}             type        The type of the operation
+     * @param  {String[]}           pathArray   The path the operation affected
+     * @param  {String/String[]}    layerName   The name of the layer or layers the operation affected
+     * @param  {Object[]}           changes     The changes made by the operation - see #getHistoryChanges()
+     */
+    addHistoryEntry(type, pathArray, layerName, changes) {
+        if (changes.length === 0) {
+            return;
+        }
+        this.historyEntries.splice(this.historyPosition);
+        this.historyEntries.push({
+            type: type,
+            path: pathArray.join(this.pathSeparator),
+            layer: layerName,
+            date: new Date(),
+            changes: changes
+        });
+        this.historyEntries.splice(0, Math.max(0, this.historyEntries.length - this.historyDepth));
+        this.historyPosition = this.historyEntries.length;
+    }
+
+    /**
+     * @private
+     * Checks if a value is a snapshot created by #snapshot()
+     *
+     * @param  {*}          value   The value to check
+     * @return {Boolean}            `true` if the value is a snapshot
+     */
+    isSnapshot(value) {
+        return _.isPlainObject(value) && Object.isFrozen(value) && _.isArray(value.layers) &&
+            _.every(value.layers, state => _.isPlainObject(state) && _.isString(state.name));
+    }
+
+    /**
+     * @private
+     * Returns the configuration data to compare for one side of #diff()
+     *
+     * @param  {String/Object}  side    The layer name, snapshot, plain object or `null` for the effective
+     *                                  configuration
+     * @return {Object}                 The configuration data without tombstones
+     */
+    getDiffData(side) {
+        if (side === null || side === undefined) {
+            return this.getMergedNode([]) || {};
+        }
+        if (_.isString(side)) {
+            let layer = this.getLayer(side);
+            if (!layer) {
+                throw new Error('Cannot compare non-existing layer ' + side);
+            }
+            return tombstone.strip(layer.data) || {};
+        }
+        if (this.isSnapshot(side)) {
+            return this.createStagingCopy(side).getMergedNode([]) || {};
+        }
+        if (!_.isPlainObject(side)) {
+            throw new TypeError('Each side needs to be a layer name, a snapshot, an object or null');
+        }
+        return tombstone.strip(side) || {};
+    }
+
+    /**
+     * @private
+     * Creates a configuration instance that has the same settings as this one and contains the layers of the given
+     * snapshot. Used as staging area by #transaction().
+     *
+     * @param  {Object}                 snapshot    The snapshot created by #snapshot()
+     * @return {LayeredConfiguration}               The new configuration instance
+     */
+    createStagingCopy(snapshot) {
+        let staging = new LayeredConfiguration();
+        staging.pathSeparator = this.pathSeparator;
+        staging.arrayMergeStrategy = this.arrayMergeStrategy;
+        staging.arrayMergeStrategies = this.arrayMergeStrategies.concat();
+        staging.schema = this.schema;
+        staging.fileFormats = _.clone(this.fileFormats);
+        staging.backupCount = this.backupCount;
+        staging.resolvers = _.clone(this.resolvers);
+        staging.validators = this.validators.concat();
+        staging.secretPaths = this.secretPaths.concat();
+        staging.secretPatterns = this.secretPatterns.concat();
+        staging.encryptionKey = this.encryptionKey;
+        staging.restoreLayers(snapshot);
+        return staging;
+    }
+
+    /**
+     * @private
+     * Checks, if a configuration path is secret - either because it or one of its ancestors has been marked as secret,
+     * is defined as secret by the schema or matches one of the secret patterns
+     *
+     * @param  {String[]}   pathArray   The path to check
+     * @return {Boolean}                `true` if the path is secret
+     */
+    isSecretPath(pathArray) {
+        if (this.schema && this.schema.isSecret(pathArray)) {
+            return true;
+        }
+        return _.some(_.range(1, pathArray.length + 1), length => {
+            let prefix = _.take(pathArray, length);
+            return _.some(this.secretPaths, secretPath => _.isEqual(secretPath, prefix)) ||
+                _.some(this.secretPatterns, pattern => secrets.matchesPattern(pattern, prefix, this.pathSeparator));
+        });
+    }
+
+    /**
+     * @private
+     * Calls a function for each child of a plain object or an array and replaces the children with the function's
+     * results. The node is copied before the first child is replaced - nodes without changes are returned as they are.
+     *
+     * @param  {*}          node        The node whose children should be mapped
+     * @param  {String[]}   pathArray   The path of the node
+     * @param  {Function}   mapper      The function called with `(child, childPathArray)`
+     * @return {*}                      The mapped node
+     */
+    mapChildren(node, pathArray, mapper) {
+        if (!_.isPlainObject(node) && !_.isArray(node)) {
+            return node;
+        }
+        let result = node;
+        _.forEach(node, (value, key) => {
+            let mapped = mapper(value, pathArray.concat(String(key)));
+            if (mapped !== value) {
+                if (result === node) {
+                    result = _.clone(node);
+                }
+                result[key] = mapped;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * @private
+     * Replaces all secret values inside a configuration node with #REDACTED
+     *
+     * @param  {*}          node        The node to redact
+     * @param  {String[]}   pathArray   The path of the node
+     * @return {*}                      The redacted node - a copy, if anything has been redacted
+     */
+    redact(node, pathArray) {
+        if (node === undefined) {
+            return undefined;
+        }
+        if (this.isSecretPath(pathArray)) {
+            return secrets.REDACTED;
+        }
+        return this.mapChildren(node, pathArray, (child, childPathArray) => this.redact(child, childPathArray));
+    }
+
+    /**
+     * @private
+     * Unwraps all values wrapped using #secret() inside a configuration node and marks their paths as secret
+     *
+     * @param  {*}          node        The node to unwrap
+     * @param  {String[]}   pathArray   The path of the node
+     * @return {*}                      The unwrapped node - a copy, if anything has been unwrapped
+     */
+    extractSecrets(node, pathArray) {
+        if (node instanceof Secret) {
+            this.markSecret(pathArray);
+            return this.extractSecrets(node.value, pathArray);
+        }
+        return this.mapChildren(node, pathArray, (child, childPathArray) => {
+            return this.extractSecrets(child, childPathArray);
+        });
+    }
+
+    /**
+     * @private
+     * Marks a configuration path as secret
+     *
+     * @param  {String[]}   pathArray   The path to mark
+     */
+    markSecret(pathArray) {
+        if (!_.some(this.secretPaths, secretPath => _.isEqual(secretPath, pathArray))) {
+            this.secretPaths.push(pathArray);
+        }
+    }
+
+    /**
+     * @private
+     * Encrypts all secret values inside a configuration node using the encryption key. If no key has been set using
+     * #setEncryptionKey(), the node is returned as it is.
+     *
+     * @param  {*}          node        The node to encrypt
+     * @param  {String[]}   pathArray   The path of the node
+     * @return {*}                      The node containing the encrypted values - a copy, if anything has been
+     *                                  encrypted
+     */
+    encryptSecrets(node, pathArray) {
+        if (!this.encryptionKey || node === undefined || tombstone.isTombstone(node)) {
+            return node;
+        }
+        if (pathArray.length > 0 && this.isSecretPath(pathArray)) {
+            return secrets.encrypt(node, this.encryptionKey);
+        }
+        return this.mapChildren(node, pathArray, (child, childPathArray) => {
+            return this.encryptSecrets(child, childPathArray);
+        });
+    }
+
+    /**
+     * @private
+     * Decrypts all encrypted values inside the data read from a file and marks their paths as secret
+     *
+     * @param  {*}          node        The node to decrypt
+     * @param  {String[]}   pathArray   The path of the node
+     * @param  {String}     filePath    The path of the file the data has been read from - used for error messages
+     * @return {*}                      The node containing the decrypted values - a copy, if anything has been
+     *                                  decrypted
+     * @throws {Error}                  If no encryption key has been set or a value cannot be decrypted
+     */
+    decryptSecrets(node, pathArray, filePath) {
+        if (!secrets.isEncrypted(node)) {
+            return this.mapChildren(node, pathArray, (child, childPathArray) => {
+                return this.decryptSecrets(child, childPathArray, filePath);
+            });
+        }
+        let prefix = 'Cannot decrypt the value at path ' + pathArray.join(this.pathSeparator) + ' in file ' +
+            filePath + ': ';
+        if (!this.encryptionKey) {
+            throw new Error(prefix + 'no encryption key set');
+        }
+        let value;
+        try {
+            value = secrets.decrypt(node, this.encryptionKey);
+        } catch (e) {
+            throw new Error(prefix + e.message);
+        }
+        this.markSecret(pathArray);
+        return value;
+    }
+
+    /**
+     * @private
+     * Checks, if writing a value into a layer would result in valid layer data. Only errors at or below the written
+     * path are taken into account, values containing references are skipped.
+     *
+     * @param  {Layer}      layer       The layer to write into - `undefined` if the layer does not exist yet
+     * @param  {String[]}   pathArray   The path to write the value at
+     * @param  {*}          value       The value to write
+     * @throws {ValidationError}        If the value does not match the schema
+     */
+    validateWrite(layer, pathArray, value) {
+        if (!this.schema) {
+            return;
+        }
+        let candidate = new Layer('candidate', layer ? layer.data : undefined);
+        candidate.setConfigurationNode(pathArray, value);
+        let errors = _.filter(this.getLayerDataErrors(candidate.data), error => {
+            return _.isEqual(_.take(error.pathArray, pathArray.length), pathArray);
+        });
+        if (errors.length > 0) {
+            throw this.createValidationError(errors);
+        }
+    }
+
+    /**
+     * @private
+     * Runs an operation that may alter the configuration and emits the change events if the effective configuration
+     * at the given path has been changed by it.
+     *
+     * Operations that are run from inside another tracked operation do not emit events on their own - the changes
+     * are reported by the outermost operation. The same applies to recording operations inside the history.
+     *
+     * @param  {String}             type        The type of the operation - used as event name
+     * @param  {String[]}           pathArray   The path the operation affects
+     * @param  {String/String[]}    layerName   The name of the layer or layers the operation affects
+     * @param  {Function}           operation   The function performing the operation
+     * @return {*}                              The return value of the operation
+     */
+    trackChanges(type, pathArray, layerName, operation) {
+        if (this.changeTrackingDepth > 0) {
+            return operation();
+        }
+        let emitEvents = this.listenerCount('change') > 0 || this.listenerCount(type) > 0;
+        let oldValue = emitEvents ? this.getMergedNode(pathArray) : undefined;
+        let recordedLayerNames = this.historyDepth > 0 && RECORDED_OPERATIONS.indexOf(type) !== -1 ?
+            _.uniq(_.map(_.filter(_.castArray(layerName), _.isString), name => this.normalizeLayerName(name))) :
+            [];
+        let historyStates = this.captureHistoryStates(type, pathArray, recordedLayerNames);
+        let result;
+        this.changeTrackingDepth += 1;
+        try {
+            result = operation();
+        } finally {
+            this.changeTrackingDepth -= 1;
+        }
+        if (recordedLayerNames.length > 0) {
+            this.addHistoryEntry(type, pathArray, layerName, this.getHistoryChanges(historyStates));
+        }
+        if (!emitEvents) {
+            return result;
+        }
+        let newValue = this.getMergedNode(pathArray);
+        let changes = diff.diffNodes(oldValue, newValue, pathArray);
+        if (changes.length > 0) {
+            let event = {
+                type: type,
+                path: pathArray.join(this.pathSeparator),
+                layer: layerName,
+                oldValue: this.redact(oldValue, pathArray),
+                newValue: this.redact(newValue, pathArray),
+                changes: _.map(changes, change => {
+                    return {
+                        path: change.pathArray.join(this.pathSeparator),
+                        oldValue: this.redact(change.oldValue, change.pathArray),
+                        newValue: this.redact(change.newValue, change.pathArray)
+                    };
+                })
+            };
+            this.emit(type, event);
+            this.emit('change', event);
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * Returns the value a layer holds at the given path
+     *
+     * @param  {Layer}      layer       The layer to read from
+     * @param  {String[]}   pathArray   The path of the value
+     * @return {*}                      The value - a tombstone if the path or one of its ancestors has been deleted
+     *                                  by a tombstone, `undefined` if the path does not exist
+     */
+    getLayerNode(layer, pathArray) {
+        return layer.isUnset(pathArray) ? tombstone.UNSET : layer.getConfigurationNode(pathArray);
+    }
+
+    /**
+     * @private
+     * Deep-merges the values of the given layers at the given path
+     *
+     * @param  {String[]}   pathArray               The path to the configuration value to return
+     * @param  {Boolean}    [ignoreNulls=false]     Set to `true` to treat null values as non-existing paths
+     * @param  {String[]}   [layerNames]            The names of the layers to merge - all layers, if omitted
+     * @return {*}                                  The merged configuration value
+     */
+    getMergedNode(pathArray, ignoreNulls, layerNames) {
+        let nodes = [];
+        _.forEach(layerNames || this.layerNames, layerName => {
+            let layer = this.getLayer(layerName);
+            if (layer) {
+                nodes.push(this.getLayerNode(layer, pathArray));
+            }
+        });
+        return merge.mergeNodes(nodes, {
+            ignoreNulls: ignoreNulls,
+            pathArray: pathArray,
+            getArrayStrategy: this.getArrayMergeStrategy.bind(this)
+        });
+    }
+
+    /**
+     * @private
+     * Resolves the references (`${path}`) inside a configuration node against the effective configuration
+     *
+     * @param  {*}          node                    The node to resolve
+     * @param  {String[]}   pathArray               The path of the node
+     * @param  {Boolean}    [redactSecrets=false]   `true` to redact referenced secret values
+     * @return {*}                                  The resolved node
+     */
+    resolveReferences(node, pathArray, redactSecrets) {
+        return interpolate.resolveNode(node, pathArray.join(this.pathSeparator), {
+            lookup: path => {
+                let referencedPathArray = this.splitPath(path);
+                let value = this.getMergedNode(referencedPathArray);
+                return redactSecrets ? this.redact(value, referencedPathArray) : value;
+            },
+            normalizePath: path => this.splitPath(path).join(this.pathSeparator),
+            resolvers: this.resolvers
+        });
+    }
+
+    /**
+     * @private
+     * Explains where the value at the given path comes from - see #explain()
+     *
+     * @param  {String[]}   pathArray       The path of the value to explain
+     * @param  {Boolean}    ignoreNulls     `true` to treat null values as non-existing paths
+     * @param  {Boolean}    merged          `true` to explain the merged value
+     * @param  {String[]}   layerNames      The names of the layers that may supply the value - the values of all
+     *                                      other layers are shadowed by a parent node
+     * @return {Object}                     The explanation
+     */
+    explainNode(pathArray, ignoreNulls, merged, layerNames) {
+        let entries = _.map(this.layerNames, layerName => {
+            let layer = this.getLayer(layerName);
+            let value = this.getLayerNode(layer, pathArray);
+            return {
+                name: layerName,
+                value: _.cloneDeep(value),
+                sourceFile: layer.sourceFile,
+                status: value === undefined || (ignoreNulls && value === null) ? 'absent' : 'shadowed'
+            };
+        });
+        let candidates = _.filter(entries, entry => entry.status !== 'absent' && layerNames.indexOf(entry.name) !== -1);
+        let suppliers = candidates.slice(0, 1);
+        let isBranch = value => _.isPlainObject(value) && !tombstone.isTombstone(value);
+        if (merged && candidates.length > 0) {
+            let first = candidates[0].value;
+            if (isBranch(first)) {
+                suppliers = _.takeWhile(candidates, entry => isBranch(entry.value));
+            } else if (_.isArray(first) && this.getArrayMergeStrategy(pathArray).strategy !== 'replace') {
+                suppliers = _.takeWhile(candidates, entry => _.isArray(entry.value));
+            }
+        }
+        _.forEach(suppliers, entry => {
+            entry.status = suppliers.length > 1 ? 'merged' : 'effective';
+        });
+        if (suppliers.length > 1) {
+            suppliers[0].status = 'effective';
+        }
+        let rawValue = merged ? this.getMergedNode(pathArray, ignoreNulls, layerNames) :
+            tombstone.strip(_.get(suppliers[0], 'value'));
+        let result = {
+            path: pathArray.join(this.pathSeparator),
+            value: this.redact(this.resolveReferences(_.cloneDeep(rawValue), pathArray, true), pathArray),
+            layer: suppliers.length > 0 ? suppliers[0].name : null,
+            sourceFile: suppliers.length > 0 ? suppliers[0].sourceFile : null,
+            layers: _.map(entries, entry => _.assign(entry, {value: this.redact(entry.value, pathArray)})),
+            shadowed: _.map(_.filter(entries, {status: 'shadowed'}), 'name')
+        };
+        if (merged && _.isPlainObject(rawValue)) {
+            let supplierNames = _.map(suppliers, 'name');
+            result.keys = {};
+            _.forEach(rawValue, (value, key) => {
+                result.keys[key] = this.explainNode(pathArray.concat(key), ignoreNulls, true, supplierNames);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * Reads the effective value at the given path and converts it using the given function. Used by the typed getters
+     * like #getInteger().
+     *
+     * @param  {String}     path            The configuration path to read
+     * @param  {*}          defaultValue    The value to return if the path does not exist or contains `null`
+     * @param  {String}     typeName        The name of the type to convert into - used for error messages
+     * @param  {Function}   convert         The function converting the value - returns `undefined` if the value cannot
+     *                                      be converted
+     * @return {*}                          The converted value
+     * @throws {TypeError}                  If the value cannot be converted
+     */
+    getTyped(path, defaultValue, typeName, convert) {
+        let value = this.get(path);
+        if (value === undefined || value === null) {
+            return defaultValue;
+        }
+        let converted = convert(value);
+        if (converted === undefined) {
+            let pathArray = this.splitPath(path);
+            throw new TypeError('Cannot convert the value ' + JSON.stringify(this.redact(value, pathArray)) +
+                ' at path ' + pathArray.join(this.pathSeparator) + ' of layer ' + this.explain(path).layer + ' into ' +
+                typeName);
+        }
+        return converted;
+    }
+
+    /**
+     * @private
+     * Returns the name of the layer a configuration file is loaded into if no layer name is specified
+     *
+     * @param  {String} filePath    The path of the configuration file
+     * @return {String}             The normalized file name without its extension
+     */
+    getLayerNameForFile(filePath) {
+        return this.normalizeLayerName(path.basename(filePath, path.extname(filePath)));
+    }
+
+    /**
+     * @private
+     * Reads a configuration file and parses it using the format registered for its file extension
+     *
+     * @param  {String}     filePath    Path to the file to read
+     * @param  {String}     [formatPath=filePath] The path whose extension determines the format to parse the file with
+     * @return {Promise}                A promise that resolves with an object containing the parsed configuration
+     *                                  `data` and the raw `text` of the file. It rejects if the file cannot be read
+     *                                  or does not contain an object.
+     */
+    readConfigFile(filePath, formatPath) {
+        return new Promise((resolve, reject) => {
+            let rOk = fs.R_OK || fs.constants.R_OK; // Backwards-compatibility
+            fs.access(filePath, rOk, err => {
+                if (err) {
+                    return reject(err);
+                }
+                fs.readFile(filePath, 'utf8', (err, data) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    let jsonData;
+                    try {
+                        jsonData = this.decryptSecrets(this.getFormat(formatPath || filePath).parse(data), [],
+                            filePath);
+                    } catch (e) {
+                        return reject(e);
+                    }
+                    if (!_.isPlainObject(jsonData)) {
+                        return reject(new Error('Illegal configuration file ' + filePath));
+                    }
+                    resolve({data: jsonData, text: data});
+                });
+            });
+        });
+    }
+
+    /**
+     * @private
+     * Returns the paths of all configuration files inside a directory in alphabetical order
+     *
+     * @param  {String}     directoryPath   The directory to search
+     * @return {Promise}                    A promise that resolves with the list of file paths
+     */
+    getConfigFilePaths(directoryPath) {
+        return new Promise((resolve, reject) => {
+            fs.readdir(directoryPath, (err, files) => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(_.map(_.filter(files.sort(), file => this.isConfigFile(file)), file => {
+                    return path.join(directoryPath, file);
+                }));
+            });
+        });
+    }
+
+    /**
+     * @private
+     * Checks, if a file is a configuration file that can be loaded
+     *
+     * @param  {String}     fileName    The name of the file
+     * @return {Boolean}                `true` if the file can be loaded
+     */
+    isConfigFile(fileName) {
+        return this.fileFormats.hasOwnProperty(path.extname(fileName).toLowerCase());
+    }
+
+    /**
+     * @private
+     * Returns the file format to use for reading or writing a file. Files with unknown extensions are treated as
+     * Hjson files.
+     *
+     * @param  {String}     filePath    The path of the file
+     * @return {Object}                 The format containing the `parse` and `stringify` functions
+     */
+    getFormat(filePath) {
+        let ext = path.extname(filePath).toLowerCase();
+        return this.fileFormats.hasOwnProperty(ext) ? this.fileFormats[ext] : this.fileFormats['.hjson'];
+    }
+
+    /**
+     * @private
+     * Converts the data of a layer into the contents of the given file using the format registered for the file's
+     * extension
+     *
+     * @param  {Layer}      layer       The layer to convert
+     * @param  {String}     filePath    The path of the file the contents are written to
+     * @return {String}                 The file contents
+     */
+    getFileContent(layer, filePath) {
+        let format = this.getFormat(filePath);
+        let keepSource = layer.sourceText !== null && this.getFormat(layer.sourceFile) === format;
+        let data = this.encryptSecrets(layer.data, []);
+        if (_.isFunction(format.update) && keepSource) {
+            // Keep the comments and the formatting of the file the layer has been loaded from
+            return format.update(layer.sourceText, data);
+        }
+        return format.stringify(data);
+    }
+
+    /**
+     * @private
+     * Returns the number of backups to keep when saving files
+     *
+     * @param  {Object}     options     The options passed to the save function
+     * @return {Number}                 The number of backups
+     */
+    getBackupCount(options) {
+        let count = options.hasOwnProperty('backups') ? options.backups : this.backupCount;
+        if (!_.isInteger(count) || count < 0) {
+            throw new TypeError('The number of backups needs to be a non-negative integer');
+        }
+        return count;
+    }
+
+    /**
+     * @private
+     * Replaces the data of a layer that has been reloaded from a file. In contrast to #addLayer(), an existing layer
+     * keeps its position and its flags. A non-existing layer is added with the highest priority.
      *
-     * @param  {String}     path    The path to split
-     * @return {String[]}           An array containing the path components
+     * @param  {String}     layerName           The name of the layer to reload
+     * @param  {Object}     file                The file as returned by #readConfigFile()
+     * @param  {String}     sourceFile          The path of the file the data has been loaded from
+     * @param  {Boolean}    [readOnly=false]    Make a newly added layer read-only?
      */
-    splitPath(path) {
-        if (!_.isString(path)) {
-            throw new TypeError('path needs to be a String');
+    reloadLayer(layerName, file, sourceFile, readOnly) {
+        let layer = this.getLayer(layerName);
+        if (layer) {
+            this.validateLayerData(file.data);
+            layer.setData(file.data);
+        } else {
+            layer = this.addLayer(layerName, file.data, {readOnly: readOnly});
         }
-        return path.split(this.pathSeparator).filter(item => {
-            // Remove illegal path elements
-            return _.isString(item) && Boolean(item.trim());
-        }).map(item => {
-            return item.trim();
-        });
+        layer.setSource(path.resolve(sourceFile), file.text);
     }
 
     /**
-     * Replaces unwanted characters inside layer names with "_"
+     * @private
+     * Emits an error that occurred while reloading watched files. Without any `error` listeners, the error is
+     * dropped - emitting it would throw and terminate the process.
      *
-     * @param  {String} layerName  The layer name to normalize
-     * @return {String}            The normalized layer name
+     * @param  {Error}  err     The error to emit
      */
-    normalizeLayerName(layerName) {
-        let regex = /[\.\/\\:]/ig;
-        return layerName.replace(regex, '_');
+    emitReloadError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
     }
 
     /**
      * @private
-     * Converts process.env variables into configuration data ready to use in configuration layers
-     *
-     * @param  {Object}  options                        A configuration object that controls which environment variables
-     *                                                  will be loaded and how their names will be converted to
-     *                                                  configuration paths.
-     * @param  {Boolean}  [options.lowerCase=true]      Convert the environment variable names to lower case?
-     * @param  {String}   [options.separator=undefined] If set, create a configuration path by using this character as
-     *                                                  splitter
-     * @param  {String[]} [options.whitelist=[]]        If non-empty: Only import the environment variables that are
-     *                                                  inside this list
-     * @param  {RegExp}   [options.match=undefined]     If set, only import those environment variables that match this
-     *                                                  regular expression
+     * Stops reloading a layer from the file or directory it is watched in. Watchers of single files are closed,
+     * directory watchers skip the file of the layer from now on.
      *
-     * @return {Object}                                 The configurationData object that has been parsed from
-     *                                                  process.env
+     * @param  {String}     layerName   The normalized name of the layer
      */
-    getEnvData(options) {
-        let data = {};
-
-        options = options || {};
-        options.separator = options.separator || undefined;
-        options.lowerCase = options.hasOwnProperty('lowerCase') ? (Boolean)(options.lowerCase) : true;
-        options.whitelist = options.whitelist || [];
-
-        _.forEach(process.env, (value, key) => {
-            if (options.lowerCase) {
-                key = key.toLowerCase();
+    unwatchLayer(layerName) {
+        _.forEach(_.keys(this.fileWatchers), watchedPath => {
+            let watcher = this.fileWatchers[watchedPath];
+            if (!_.includes(watcher.layerNames, layerName)) {
+                return;
             }
-            // Use the current var?
-            if (
-                (!options.match && options.whitelist.length === 0) ||
-                (options.match && key.match(options.match)) ||
-                (options.whitelist.length > 0 && options.whitelist.indexOf(key) !== -1)
-            ) {
-                // Okay - write the contents to the output
-                if (options.separator) {
-                    let path = key.split(options.separator).join('.');
-                    _.setWith(data, path, value, Object);
-                } else {
-                    _.set(data, key, value);
-                }
+            if (watcher.isDirectory) {
+                _.pull(watcher.layerNames, layerName);
+                watcher.removedLayerNames.push(layerName);
+            } else {
+                this.unwatchFiles(watchedPath);
             }
         });
+    }
 
-        return data;
+    /**
+     * @private
+     * Starts watching a file and reloads its layer when the file changes
+     *
+     * @param  {String}     filePath    The path of the file to watch
+     * @param  {String}     layerName   The name of the layer the file is loaded into
+     * @param  {Object}     options     The options passed to #loadFromFile()
+     */
+    watchFile(filePath, layerName, options) {
+        let absPath = path.resolve(filePath);
+        this.unwatchFiles(absPath);
+        let watcher = new FileWatcher(path.dirname(absPath), {
+            debounce: options.debounce,
+            filter: fileName => !fileName || fileName === path.basename(absPath),
+            onError: err => this.emitReloadError(err),
+            onChange: () => {
+                this.readConfigFile(absPath).then(file => {
+                    if (!this.getLayer(layerName)) {
+                        // The layer has been removed in the meantime
+                        return;
+                    }
+                    this.trackChanges('load', [], layerName, () => {
+                        this.reloadLayer(layerName, file, absPath);
+                    });
+                }).catch(err => {
+                    // Keep the previous data
+                    this.emitReloadError(err);
+                });
+            }
+        });
+        watcher.isDirectory = false;
+        watcher.layerNames = [layerName];
+        this.fileWatchers[absPath] = watcher;
+    }
+
+    /**
+     * @private
+     * Starts watching a directory and reloads its layers when files inside it change, are added or are removed
+     *
+     * @param  {String}     directoryPath   The path of the directory to watch
+     * @param  {String[]}   layerNames      The names of the layers that have been loaded from the directory
+     * @param  {Object}     options         The options passed to #loadFromDirectory()
+     */
+    watchDirectory(directoryPath, layerNames, options) {
+        let absPath = path.resolve(directoryPath);
+        this.unwatchFiles(absPath);
+        let watcher = new FileWatcher(absPath, {
+            debounce: options.debounce,
+            filter: fileName => !fileName || this.isConfigFile(fileName),
+            onError: err => this.emitReloadError(err),
+            onChange: () => this.reloadDirectory(watcher)
+        });
+        watcher.isDirectory = true;
+        // Remember the layers loaded from the directory to be able to remove the layers of deleted files
+        watcher.layerNames = layerNames;
+        // The layers removed using #removeLayer() are not loaded again
+        watcher.removedLayerNames = [];
+        watcher.readOnly = Boolean(options.readOnly);
+        this.fileWatchers[absPath] = watcher;
+    }
+
+    /**
+     * @private
+     * Reloads all files inside a watched directory. Files that cannot be loaded keep their previous data, layers
+     * whose file has been removed are removed, too. New files are added as layers having the flags the directory has
+     * been loaded with.
+     *
+     * @param  {FileWatcher}    watcher     The watcher of the directory
+     * @return {Promise}                    A promise that resolves when the directory has been reloaded
+     */
+    reloadDirectory(watcher) {
+        return this.getConfigFilePaths(watcher.directoryPath).then(filePaths => {
+            return Promise.all(_.map(filePaths, filePath => {
+                return this.readConfigFile(filePath).then(
+                    file => ({filePath: filePath, file: file}),
+                    err => ({filePath: filePath, error: err})
+                );
+            }));
+        }).then(results => {
+            let errors = [];
+            results = _.reject(results, result => {
+                return _.includes(watcher.removedLayerNames, this.getLayerNameForFile(result.filePath));
+            });
+            let layerNames = _.uniq(_.map(results, result => this.getLayerNameForFile(result.filePath)));
+            this.trackChanges('load', [], _.union(watcher.layerNames, layerNames), () => {
+                _.forEach(results, result => {
+                    if (result.error) {
+                        return errors.push(result.error);
+                    }
+                    try {
+                        this.reloadLayer(this.getLayerNameForFile(result.filePath), result.file, result.filePath,
+                            watcher.readOnly);
+                    } catch (e) {
+                        errors.push(e);
+                    }
+                });
+                _.forEach(_.difference(watcher.layerNames, layerNames), layerName => {
+                    this.removeSingleLayer(layerName);
+                });
+            });
+            watcher.layerNames = layerNames;
+            _.forEach(errors, err => this.emitReloadError(err));
+        }).catch(err => this.emitReloadError(err));
     }
 
     // endregion Helper functions
@@ -133,6 +1461,9 @@ class LayeredConfiguration {
      * will be returned and the search will stop at this point. If you want to ignore null values and continue with
      * the next layer, pass `true` for the #ignoreNulls parameter
      *
+     * Paths that have been deleted using a tombstone (see #set()) do not exist - the search stops at the layer
+     * containing the tombstone.
+     *
      * If a branch is requested (an object inside the configuration, that still has sub-nodes) and the branch is
      * available at multiple layers, only the branch of the layer with the highest priority will be returned.
      *
@@ -144,6 +1475,15 @@ class LayeredConfiguration {
      * Assuming a path separator of ".", the path `". this . .is. a   .path.."` will query the configuration as if
      * `"this.is.a.path"` was passed to the function.
      *
+     * String values may reference other configuration values using `${path}` - e.g. `"${server.host}:${server.port}"`.
+     * References are resolved against the effective configuration (see #getMerged()) each time the value is read, so
+     * a layer overriding `server.host` changes all values referencing it. A string consisting of a single reference
+     * resolves to the referenced value keeping its type. Write `$${` to get a literal `${`. Use #getRaw() to read
+     * values without resolving references.
+     *
+     * Placeholders like `${env:DB_PASSWORD}` or `${file:/run/secrets/cert.pem}` are resolved using the resolver
+     * registered for their prefix (see #registerResolver()).
+     *
      * @param  {String}             path                    The path to the configuration value to return
      * @param  {Boolean}            [ignoreNulls=false]     Set to `true` to treat null values as non-existing paths
      * @param  {String/String[]}    [restrictToLayer=null]  If specified, the search will be restricted only to the
@@ -153,22 +1493,38 @@ class LayeredConfiguration {
      *                                                      parameter
      * @return {*}                                          The configuration value at the position specified in #path
      *                                                      or `undefined`, if no configuration value could be found.
+     * @throws {Error}                                      If a reference cannot be resolved or references are
+     *                                                      circular
      */
     get(path, ignoreNulls, restrictToLayer) {
-        if (!_.isString(restrictToLayer) && restrictToLayer !== undefined && !_.isArray(restrictToLayer)) {
-            throw new TypeError('restrictToLayer needs to be a String');
-        }
+        return this.resolveReferences(this.getRaw(path, ignoreNulls, restrictToLayer), this.splitPath(path));
+    }
+
+    /**
+     * Works like #get(), but returns the value as it is stored inside the layer - references (`${path}`) are not
+     * resolved.
+     *
+     * @param  {String}             path                    The path to the configuration value to return
+     * @param  {Boolean}            [ignoreNulls=false]     Set to `true` to treat null values as non-existing paths
+     * @param  {String/String[]}    [restrictToLayer=null]  If specified, the search will be restricted only to the
+     *                                                      layer or layers which are mentioned here
+     * @return {*}                                          The raw configuration value at the position specified in
+     *                                                      #path or `undefined`, if no configuration value could be
+     *                                                      found.
+     */
+    getRaw(path, ignoreNulls, restrictToLayer) {
+        let layerNamesToUse = this.getLayerNamesToQuery(restrictToLayer);
         ignoreNulls = Boolean(ignoreNulls);
         let pathArray = this.splitPath(path);
-        let layerNamesToUse = restrictToLayer ? _.castArray(restrictToLayer) : this.layerNames;
         let result;
         _.forEach(layerNamesToUse, layerName => {
             layerName = this.normalizeLayerName(layerName);
             let layer = this.getLayer(layerName);
             if (layer) {
-                let res = layer.getConfigurationNode(pathArray);
+                let res = this.getLayerNode(layer, pathArray);
                 if (res !== undefined && (!ignoreNulls || res !== null)) {
-                    result = res;
+                    // A tombstone makes the path absent
+                    result = tombstone.strip(res);
                     return false;
                 }
             }
@@ -176,14 +1532,114 @@ class LayeredConfiguration {
         return result;
     }
 
+    /**
+     * Searches a specific configuration path in all layers and deep-merges the values found there.
+     *
+     * In contrast to #get(), branches that exist in multiple layers are not shadowed by the branch of the layer with
+     * the highest priority. Instead, the plain objects of all layers are merged recursively in the order of the
+     * layers' priority - on conflicts, the value of the layer with the higher priority wins. Any non-object value
+     * (including arrays) is treated as a leaf that shadows the values of all layers below it.
+     *
+     * Example:
+     *
+     * Assuming a layer "defaults" containing `{db: {host: 'localhost', port: 5432}}` and a layer "user" with a higher
+     * priority containing `{db: {host: 'db.example.com'}}`, `getMerged('db')` returns
+     * `{host: 'db.example.com', port: 5432}`, while `get('db')` only returns `{host: 'db.example.com'}`.
+     *
+     * The returned value is a copy - modifying it does not alter the configuration. References (`${path}`) are resolved
+     * like #get() does.
+     *
+     * @param  {String}             path                    The path to the configuration value to return
+     * @param  {Boolean}            [ignoreNulls=false]     Set to `true` to treat null values as non-existing paths
+     * @param  {String/String[]}    [restrictToLayer=null]  If specified, only the layer or layers which are mentioned
+     *                                                      here will be merged - in the order they are passed in this
+     *                                                      parameter
+     * @return {*}                                          The merged configuration value at the position specified
+     *                                                      in #path or `undefined`, if no configuration value could be
+     *                                                      found.
+     */
+    getMerged(path, ignoreNulls, restrictToLayer) {
+        let layerNamesToUse = this.getLayerNamesToQuery(restrictToLayer);
+        let pathArray = this.splitPath(path);
+        return this.resolveReferences(this.getMergedNode(pathArray, ignoreNulls, layerNamesToUse), pathArray);
+    }
+
+    /**
+     * Sets the strategy #getMerged() uses to merge arrays that are found in multiple layers.
+     *
+     * Available strategies are:
+     *
+     * - `replace`:    The array of the layer with the highest priority is used (default)
+     * - `concat`:     The arrays of all layers are concatenated - the items of lower layers come first
+     * - `union`:      Like `concat`, but items that equal an item already inside the result are skipped
+     * - `mergeByKey`: Object items that have the same value in their `key` property are deep-merged, all other items
+     *                 are appended. Pass the strategy as object: `{strategy: 'mergeByKey', key: 'name'}`
+     *
+     * If a path is given, the strategy is only used for the array at exactly this path. Passing `null` as strategy
+     * removes a path-specific strategy again.
+     *
+     * @param {String/Object}   strategy        The strategy name or an object containing the strategy name and key
+     * @param {String}          [path=null]     The path of the array to use the strategy for. If omitted, the
+     *                                          strategy is used for all arrays that have no path-specific strategy.
+     */
+    setArrayMergeStrategy(strategy, path) {
+        if (path === undefined || path === null) {
+            merge.normalizeArrayStrategy(strategy);
+            this.arrayMergeStrategy = strategy;
+            return;
+        }
+        let pathArray = this.splitPath(path);
+        _.remove(this.arrayMergeStrategies, item => _.isEqual(item.pathArray, pathArray));
+        if (strategy !== null) {
+            this.arrayMergeStrategies.push({
+                pathArray: pathArray,
+                strategy: merge.normalizeArrayStrategy(strategy)
+            });
+        }
+    }
+
+    /**
+     * Registers a resolver for placeholders having the given prefix. Placeholders look like references, but start
+     * with the prefix followed by a colon - e.g. `${vault:db/password}`. Whenever a value containing such a
+     * placeholder is read using #get() or #getMerged(), the resolver is called with the text following the colon and
+     * returns the value to use. Returning `undefined` or throwing an error makes the read fail.
+     *
+     * Out of the box, the prefixes `env` (`${env:NAME}` resolves to the environment variable `NAME`) and `file`
+     * (`${file:path}` resolves to the contents of the file at `path`) are supported. Registering a resolver for an
+     * existing prefix replaces the existing resolver.
+     *
+     * Resolvers are called synchronously each time a value is read.
+     *
+     * @param  {String}     prefix      The prefix - letters, digits, `_` and `-`, starting with a letter
+     * @param  {Function}   resolver    The function resolving the placeholders
+     */
+    registerResolver(prefix, resolver) {
+        if (!_.isString(prefix) || !/^[A-Za-z][A-Za-z0-9_\-]*$/.test(prefix)) {
+            throw new TypeError('prefix needs to be a string of letters, digits, _ and - starting with a letter');
+        }
+        if (!_.isFunction(resolver)) {
+            throw new TypeError('resolver needs to be a function');
+        }
+        this.resolvers[prefix] = resolver;
+    }
+
     /**
      * Stores an arbitary value at the configuration path provided. The value will be stored inside the configuration
-     * layer specified by #layerName. If no layer name is provided, the value will be stored inside the layer with
-     * the highest priority (first layer inside of #layerOrder).
+     * layer specified by #layerName. If no layer name is provided, the value will be stored inside the writable layer
+     * with the highest priority (first layer inside of #layerOrder that is not read-only).
      *
      * If a non-existing layer is specified, a new, empty layer is created with this name having the highest priority.
      *
-     * A value of `undefined` deletes a configuration path and all its children
+     * A value of `undefined` deletes a configuration path and all its children from the layer - layers with a lower
+     * priority may still provide a value for it. To make the path absent no matter what the layers below contain,
+     * store the tombstone #UNSET (`{$unset: true}`) instead. Tombstones can be written into configuration files, too.
+     *
+     * If a schema is attached, the value is validated before it is written. In case of an invalid value, a
+     * ValidationError is thrown and the configuration remains untouched.
+     *
+     * Writing into a read-only layer throws an error.
+     *
+     * Values wrapped using #secret() are stored unwrapped and their paths are marked as secret (see #isSecret()).
      *
      * @param {String}  path                The configuration path to store the value at
      * @param {*}       value               The value to store - a value of `undefined` deletes the config node
@@ -197,18 +1653,26 @@ class LayeredConfiguration {
         if (pathArray.length === 0) {
             throw new Error('Illegal configuration path');
         }
+        value = this.extractSecrets(value, pathArray);
         if (!layerName || !layerName.trim()) {
             if (this.layerNames.length === 0) {
                 throw new Error('No layers present');
             }
-            layerName = this.layerNames[0];
+            layerName = _.find(this.layerNames, name => !this.layers[name].readOnly);
+            if (!layerName) {
+                throw new Error('No writable layers present');
+            }
         }
         layerName = this.normalizeLayerName(layerName);
-        let layer = this.getLayer(layerName);
-        if (!layer) {
-            layer = this.addLayer(layerName);
-        }
-        layer.setConfigurationNode(pathArray, value);
+        this.checkWritable(this.getLayer(layerName));
+        this.trackChanges('set', pathArray, layerName, () => {
+            let layer = this.getLayer(layerName);
+            this.validateWrite(layer, pathArray, value);
+            if (!layer) {
+                layer = this.addLayer(layerName);
+            }
+            layer.setConfigurationNode(pathArray, value);
+        });
     }
 
     /**
@@ -221,11 +1685,337 @@ class LayeredConfiguration {
      * @return {Boolean}                                    `true` if a value exists at the given path, `false` if not
      */
     has(path, ignoreNulls, restrictToLayer) {
-        return this.get(path, ignoreNulls, restrictToLayer) !== undefined;
+        return this.getRaw(path, ignoreNulls, restrictToLayer) !== undefined;
+    }
+
+    /**
+     * Explains where the effective value at the given path comes from. The result contains:
+     *
+     * - `path`:       The normalized path
+     * - `value`:      The effective value - as returned by #get() or, if the `merged` option is set, #getMerged()
+     * - `layer`:      The name of the layer that supplied the value - `null` if no layer contains the path
+     * - `sourceFile`: The file the supplying layer has been loaded from - `null` if it has not been loaded from a file
+     * - `layers`:     One entry per layer in the order of their priority, containing the layer's `name`, the `value`
+     *                 it holds at the path, its `sourceFile` and its `status`: `effective` for the supplying layer,
+     *                 `merged` for layers whose values are merged into the effective value, `shadowed` for layers
+     *                 whose values are hidden by layers with a higher priority and `absent` for layers that do not
+     *                 contain the path
+     * - `shadowed`:   The names of the shadowed layers
+     *
+     * If the `merged` option is set and the effective value is an object, the result also contains `keys`, which
+     * explains each of its keys the same way. Objects that are merged from multiple layers report the layer with the
+     * highest priority as supplying layer.
+     *
+     * Secret values (see #isSecret()) are redacted.
+     *
+     * @param  {String}     path                            The configuration path to explain
+     * @param  {Object}     [options]                       Options controlling the explanation
+     * @param  {Boolean}    [options.merged=false]          Set to `true` to explain the value returned by #getMerged()
+     * @param  {Boolean}    [options.ignoreNulls=false]     Set to `true` to treat null values as non-existing paths
+     * @return {Object}                                     The explanation
+     * @throws {Error}                                      If a reference cannot be resolved or references are
+     *                                                      circular
+     */
+    explain(path, options) {
+        options = options || {};
+        return this.explainNode(this.splitPath(path), Boolean(options.ignoreNulls), Boolean(options.merged),
+            this.layerNames);
+    }
+
+    /**
+     * Compares two configuration states and returns the differences between them. Each side can be:
+     *
+     * - a layer name - the data of the layer
+     * - a snapshot created by #snapshot() - the effective configuration of the snapshot's layers
+     * - a plain object - e.g. the data parsed from a configuration file
+     * - `null` - the effective configuration of all layers, as returned by #getMerged()
+     *
+     * Plain objects are compared key by key, all other values - including arrays - as a whole. Each difference
+     * contains its `type` (`added`, `removed` or `changed`), the `path` of the value, joined using the
+     * #pathSeparator, the `oldValue` found in `a` and the `newValue` found in `b`. References (`${path}`) are not
+     * resolved, secret values (see #isSecret()) are redacted. Values deleted by tombstones (`{$unset: true}`) count as
+     * absent, so unsetting a value is reported as `removed`.
+     *
+     * @param  {String/Object}  a   The state to compare against
+     * @param  {String/Object}  b   The state to compare
+     * @return {Object[]}           The list of differences
+     */
+    diff(a, b) {
+        return _.map(diff.diffNodes(this.getDiffData(a), this.getDiffData(b)), change => {
+            let type = 'changed';
+            if (change.oldValue === undefined) {
+                type = 'added';
+            } else if (change.newValue === undefined) {
+                type = 'removed';
+            }
+            return {
+                type: type,
+                path: change.pathArray.join(this.pathSeparator),
+                oldValue: this.redact(change.oldValue, change.pathArray),
+                newValue: this.redact(change.newValue, change.pathArray)
+            };
+        });
+    }
+
+    /**
+     * Attaches a schema to the configuration. Once attached, the data passed to #set(), #addLayer() and its siblings,
+     * #loadFromFile() and #loadFromDirectory() is validated against the schema. Since each layer usually contains only
+     * a part of the configuration, required properties are not checked for single layers - use #validate() to check
+     * the effective configuration. The same applies to values containing references: They are checked by #validate()
+     * once they have been resolved.
+     *
+     * Attaching a schema does not validate the layers that already exist.
+     *
+     * @param {Object/Schema} schema    The schema definition or a Schema instance - `null` to detach the schema
+     */
+    setSchema(schema) {
+        if (schema !== null && !(schema instanceof Schema)) {
+            schema = new Schema(schema);
+        }
+        this.schema = schema;
+    }
+
+    /**
+     * Validates the effective configuration - the merged data of all layers - against the attached schema and runs
+     * the validators added using #addValidator(). If no schema is attached and no validators have been added, the
+     * configuration is always valid.
+     *
+     * @throws {ValidationError}    If the effective configuration does not match the schema. The error's `errors`
+     *                              property contains the list of path-specific errors.
+     * @throws {Error}              The error thrown by a validator
+     */
+    validate() {
+        if (this.schema) {
+            let errors = this.schema.validate(this.getMerged('') || {});
+            if (errors.length > 0) {
+                throw this.createValidationError(errors);
+            }
+        }
+        _.forEach(this.validators, validator => {
+            validator(this);
+        });
+    }
+
+    /**
+     * Adds a function that checks the effective configuration whenever #validate() is called and before a
+     * #transaction() is committed. The validator is called with the configuration instance to check - which is the
+     * staging copy of the configuration during transactions - and throws an error if the configuration is invalid.
+     *
+     * Useful for rules a schema cannot express, like values that depend on each other.
+     *
+     * @param  {Function}   validator   The function to call with the configuration to check
+     * @return {Function}               A function that removes the validator when called
+     */
+    addValidator(validator) {
+        if (!_.isFunction(validator)) {
+            throw new TypeError('validator needs to be a function');
+        }
+        this.validators.push(validator);
+        return () => {
+            _.pull(this.validators, validator);
+        };
+    }
+
+    /**
+     * Applies a batch of changes atomically. The callback receives a staging copy of the configuration which
+     * supports the whole API - changes made to it are invisible to everyone else until the transaction is committed.
+     *
+     * Once the callback returns - or the promise it returns resolves - the final state of the staging copy is
+     * validated (see #validate()) and replaces the state of all layers at once. A single `transaction` event is
+     * emitted for all changes.
+     *
+     * If the callback throws an error, returns a rejected promise or the final state is invalid, the changes are
+     * discarded. The same happens if the configuration has been changed by other code while the transaction was
+     * running, since committing would overwrite these changes.
+     *
+     * @param  {Function}   callback    The function making the changes - called with the staging copy
+     * @return {Promise}                A promise that resolves with the callback's result when the changes have been
+     *                                  committed and rejects when the transaction has been rolled back
+     */
+    transaction(callback) {
+        let initialState = this.snapshot();
+        let staging = this.createStagingCopy(initialState);
+        return new Promise(resolve => {
+            if (!_.isFunction(callback)) {
+                throw new TypeError('callback needs to be a function');
+            }
+            resolve(callback(staging));
+        }).then(result => {
+            staging.validate();
+            if (!_.isEqual(this.snapshot(), initialState)) {
+                throw new Error('The configuration has been changed while the transaction was running');
+            }
+            let finalState = staging.snapshot();
+            let layerNames = _.union(_.map(initialState.layers, 'name'), _.map(finalState.layers, 'name'));
+            this.trackChanges('transaction', [], layerNames, () => {
+                this.restoreLayers(finalState);
+            });
+            this.secretPaths = _.unionWith(this.secretPaths, staging.secretPaths, _.isEqual);
+            return result;
+        });
+    }
+
+    /**
+     * Watches the effective value at the given path. The callback is called whenever an operation changes the
+     * effective value at the path or below it - no matter if the change has been caused by writing a value, adding,
+     * moving or removing a layer or by loading data from disk.
+     *
+     * The callback is called once per operation, even if the operation changed multiple layers - like
+     * #loadFromDirectory(). It receives the new and the old effective value (as returned by #getMerged()) and the
+     * change event that triggered the call.
+     *
+     * References inside the value are resolved, so the callback is also called when a value referenced by the
+     * watched value changes. Values containing references that cannot be resolved are treated as `undefined`.
+     *
+     * @param  {String}     path        The configuration path to watch
+     * @param  {Function}   callback    The function to call with `(newValue, oldValue, event)` when the value changes
+     * @return {Function}               A function that removes the watcher when called
+     */
+    watch(path, callback) {
+        if (!_.isFunction(callback)) {
+            throw new TypeError('callback needs to be a function');
+        }
+        let pathArray = this.splitPath(path);
+        let getValue = () => {
+            try {
+                return this.resolveReferences(this.getMergedNode(pathArray), pathArray);
+            } catch (e) {
+                // Unresolvable references
+                return undefined;
+            }
+        };
+        let value = getValue();
+        let listener = event => {
+            let newValue = getValue();
+            if (!_.isEqual(value, newValue)) {
+                let oldValue = value;
+                value = newValue;
+                callback(newValue, oldValue, event);
+            }
+        };
+        this.on('change', listener);
+        return () => {
+            this.removeListener('change', listener);
+        };
     }
 
     // endregion Configuration data handling
 
+    // region -- Typed getters ----------------------------------------------------------------------------------------
+
+    /**
+     * Returns the value at the given path as string. Numbers and booleans are converted into strings.
+     *
+     * Like all typed getters, it works like #get(), but converts the value into the requested type. If the path does
+     * not exist or contains `null`, the default value is returned as it is. If the value cannot be converted, a
+     * TypeError naming the path and the layer that supplied the value is thrown.
+     *
+     * @param  {String}     path                        The path to the configuration value to return
+     * @param  {*}          [defaultValue=undefined]    The value to return if the path does not exist
+     * @return {String}                                 The string value
+     * @throws {TypeError}                              If the value is neither a string, a number nor a boolean
+     */
+    getString(path, defaultValue) {
+        return this.getTyped(path, defaultValue, 'a string', value => {
+            return _.isString(value) || _.isNumber(value) || _.isBoolean(value) ? String(value) : undefined;
+        });
+    }
+
+    /**
+     * Returns the value at the given path as number. Strings containing decimal numbers are converted.
+     *
+     * @param  {String}     path                        The path to the configuration value to return
+     * @param  {*}          [defaultValue=undefined]    The value to return if the path does not exist
+     * @return {Number}                                 The number value
+     * @throws {TypeError}                              If the value is not a finite number
+     */
+    getNumber(path, defaultValue) {
+        return this.getTyped(path, defaultValue, 'a number', value => {
+            let number = coerce.coerce(value, {types: ['number']});
+            return _.isFinite(number) ? number : undefined;
+        });
+    }
+
+    /**
+     * Returns the value at the given path as integer. Strings containing integers are converted. Integers outside of
+     * the range that can be represented exactly (see `Number.isSafeInteger()`) are rejected.
+     *
+     * @param  {String}     path                        The path to the configuration value to return
+     * @param  {*}          [defaultValue=undefined]    The value to return if the path does not exist
+     * @return {Number}                                 The integer value
+     * @throws {TypeError}                              If the value is not a safe integer
+     */
+    getInteger(path, defaultValue) {
+        return this.getTyped(path, defaultValue, 'an integer', value => {
+            let number = coerce.coerce(value, {types: ['integer']});
+            return Number.isSafeInteger(number) ? number : undefined;
+        });
+    }
+
+    /**
+     * Returns the value at the given path as boolean. The strings `true`, `yes`, `on` and `1` are converted into
+     * `true`, the strings `false`, `no`, `off` and `0` into `false` - just like the numbers `1` and `0`.
+     *
+     * @param  {String}     path                        The path to the configuration value to return
+     * @param  {*}          [defaultValue=undefined]    The value to return if the path does not exist
+     * @return {Boolean}                                The boolean value
+     * @throws {TypeError}                              If the value cannot be converted into a boolean
+     */
+    getBoolean(path, defaultValue) {
+        return this.getTyped(path, defaultValue, 'a boolean', value => {
+            if (_.isNumber(value)) {
+                value = String(value);
+            }
+            let bool = coerce.coerce(value, {types: ['boolean']});
+            return _.isBoolean(bool) ? bool : undefined;
+        });
+    }
+
+    /**
+     * Returns the value at the given path as array. Strings containing JSON arrays or comma-separated lists are
+     * converted.
+     *
+     * @param  {String}     path                        The path to the configuration value to return
+     * @param  {*}          [defaultValue=undefined]    The value to return if the path does not exist
+     * @return {Array}                                  The array value
+     * @throws {TypeError}                              If the value is neither an array nor a string
+     */
+    getArray(path, defaultValue) {
+        return this.getTyped(path, defaultValue, 'an array', value => {
+            let array = coerce.coerce(value, {types: ['array']});
+            return _.isArray(array) ? array : undefined;
+        });
+    }
+
+    /**
+     * Returns the value at the given path as duration in milliseconds. Numbers are treated as milliseconds, strings
+     * may contain units - like `250ms`, `30s`, `5m`, `2h`, `1d`, `1w` or `1h 30m`.
+     *
+     * @param  {String}     path                        The path to the configuration value to return
+     * @param  {*}          [defaultValue=undefined]    The value to return if the path does not exist
+     * @return {Number}                                 The number of milliseconds
+     * @throws {TypeError}                              If the value is not a valid duration
+     */
+    getDuration(path, defaultValue) {
+        return this.getTyped(path, defaultValue, 'a duration', coerce.toDuration);
+    }
+
+    /**
+     * Returns the value at the given path as size in bytes. Numbers are treated as bytes, strings may contain units -
+     * like `512B`, `64KB`, `512MB`, `1.5GB`, `1TB` or their binary variants `KiB`, `MiB`, ... All units are based on
+     * 1024.
+     *
+     * @param  {String}     path                        The path to the configuration value to return
+     * @param  {*}          [defaultValue=undefined]    The value to return if the path does not exist
+     * @return {Number}                                 The number of bytes
+     * @throws {TypeError}                              If the value is not a valid size
+     */
+    getBytes(path, defaultValue) {
+        return this.getTyped(path, defaultValue, 'a size in bytes', coerce.toBytes);
+    }
+
+    // endregion Typed getters
+
     // region -- Layer management -------------------------------------------------------------------------------------
 
     /**
@@ -258,12 +2048,15 @@ class LayeredConfiguration {
      *
      * Adding a layer with a layer name that already exists, will remove the existing layer before addng the new one
      *
-     * @param {String} layerName            An unique identifier to identify the layer with
-     * @param {Object} configurationData    The configuration hierarchy to populate the layer with
-     * @return {Layer}                      The layer object that has been added to the configuration
+     * @param {String}  layerName                   An unique identifier to identify the layer with
+     * @param {Object}  configurationData           The configuration hierarchy to populate the layer with
+     * @param {Object}  [options]                   Options controlling the new layer
+     * @param {Boolean} [options.readOnly=false]    Prevent changing the layer's data using #set() and
+     *                                              #clearLayer()?
+     * @return {Layer}                              The layer object that has been added to the configuration
      */
-    addLayer(layerName, configurationData) {
-        return this.addLayerAt(layerName, configurationData, 0);
+    addLayer(layerName, configurationData, options) {
+        return this.addLayerAt(layerName, configurationData, 0, options);
     }
 
     /**
@@ -271,12 +2064,18 @@ class LayeredConfiguration {
      *
      * Adding a layer with a layer name that already exists, will remove the existing layer before addng the new one
      *
-     * @param {String} layerName            An unique identifier to identify the layer with
-     * @param {Object} configurationData    The configuration hierarchy to populate the layer with
-     * @param {Number} layerIndex           The index of the search order to add the layer at
-     * @return {Layer}                      The layer object that has been added to the configuration
+     * If a schema is attached, the configuration data is validated before the layer is added. In case of invalid
+     * data, a ValidationError is thrown.
+     *
+     * @param {String}  layerName                   An unique identifier to identify the layer with
+     * @param {Object}  configurationData           The configuration hierarchy to populate the layer with
+     * @param {Number}  layerIndex                  The index of the search order to add the layer at
+     * @param {Object}  [options]                   Options controlling the new layer
+     * @param {Boolean} [options.readOnly=false]    Prevent changing the layer's data using #set() and
+     *                                              #clearLayer()?
+     * @return {Layer}                              The layer object that has been added to the configuration
      */
-    addLayerAt(layerName, configurationData, layerIndex) {
+    addLayerAt(layerName, configurationData, layerIndex, options) {
         if (!_.isString(layerName)) {
             throw new TypeError('layerName needs to be a string');
         }
@@ -286,11 +2085,32 @@ class LayeredConfiguration {
         if (!_.isInteger(layerIndex)) {
             throw new TypeError('layerIndex needs to be an integer');
         }
+        configurationData = this.extractSecrets(configurationData, []);
+        this.validateLayerData(configurationData);
+        let readOnly = Boolean(options && options.readOnly);
+        return this.trackChanges('addLayer', [], this.normalizeLayerName(layerName), () => {
+            return this.putLayer(layerName, configurationData, layerIndex, readOnly);
+        });
+    }
+
+    /**
+     * @private
+     * Creates a new layer and places it at the given index of the search order without validating its data.
+     * An existing layer with the same name is removed before.
+     *
+     * @param {String}  layerName               An unique identifier to identify the layer with
+     * @param {Object}  configurationData       The configuration hierarchy to populate the layer with
+     * @param {Number}  layerIndex              The index of the search order to add the layer at
+     * @param {Boolean} [readOnly=false]        Prevent changing the layer's data using #set() and #clearLayer()?
+     * @return {Layer}                          The layer object that has been added to the configuration
+     */
+    putLayer(layerName, configurationData, layerIndex, readOnly) {
         layerName = this.normalizeLayerName(layerName);
         // Just to be sure: Remove an eventually existing layer
         this.removeLayer(layerName);
 
         let layer = new Layer(layerName, configurationData);
+        layer.readOnly = Boolean(readOnly);
         this.layers[layerName] = layer;
         this.layerNames.splice(layerIndex, 0, layerName);
         return layer;
@@ -307,9 +2127,10 @@ class LayeredConfiguration {
      * @param {Number}  otherLayerName       Name of the layer which will have this layer appended after it
      * @param {Boolean} before               `true` to add the new layer before, `false` to add it after the other
      *                                       layer
+     * @param {Object}  [options]            Options controlling the new layer - see #addLayer()
      * @return {Layer}                       The layer object that has been added to the configuration
      */
-    addLayerRelativeTo(layerName, configurationData, otherLayerName, before) {
+    addLayerRelativeTo(layerName, configurationData, otherLayerName, before, options) {
         if (!_.isString(otherLayerName)) {
             throw new TypeError('otherLayerName needs to be a string');
         }
@@ -320,7 +2141,7 @@ class LayeredConfiguration {
         if (!before) {
             idx += 1;
         }
-        return this.addLayerAt(layerName, configurationData, idx);
+        return this.addLayerAt(layerName, configurationData, idx, options);
     }
 
     /**
@@ -334,10 +2155,11 @@ class LayeredConfiguration {
      * @param {String} layerName            An unique identifier to identify the layer with
      * @param {Object} configurationData    The configuration hierarchy to populate the layer with
      * @param {Number} otherLayerName       Name of the layer which will have this layer prepended before it
+     * @param {Object} [options]            Options controlling the new layer - see #addLayer()
      * @return {Layer}                      The layer object that has been added to the configuration
      */
-    addLayerBefore(layerName, configurationData, otherLayerName) {
-        return this.addLayerRelativeTo(layerName, configurationData, otherLayerName, true);
+    addLayerBefore(layerName, configurationData, otherLayerName, options) {
+        return this.addLayerRelativeTo(layerName, configurationData, otherLayerName, true, options);
     }
 
     /**
@@ -350,10 +2172,35 @@ class LayeredConfiguration {
      * @param {String} layerName            An unique identifier to identify the layer with
      * @param {Object} configurationData    The configuration hierarchy to populate the layer with
      * @param {Number} otherLayerName       Name of the layer which will have this layer appended after it
+     * @param {Object} [options]            Options controlling the new layer - see #addLayer()
      * @return {Layer}                      The layer object that has been added to the configuration
      */
-    addLayerAfter(layerName, configurationData, otherLayerName) {
-        return this.addLayerRelativeTo(layerName, configurationData, otherLayerName, false);
+    addLayerAfter(layerName, configurationData, otherLayerName, options) {
+        return this.addLayerRelativeTo(layerName, configurationData, otherLayerName, false, options);
+    }
+
+    /**
+     * Moves an existing layer to the given index of the search order
+     *
+     * @param {String} layerName    The name of the layer to move
+     * @param {Number} layerIndex   The new index of the layer inside the search order
+     */
+    moveLayer(layerName, layerIndex) {
+        if (!_.isString(layerName)) {
+            throw new TypeError('layerName needs to be a string');
+        }
+        if (!_.isInteger(layerIndex)) {
+            throw new TypeError('layerIndex needs to be an integer');
+        }
+        layerName = this.normalizeLayerName(layerName);
+        let idx = this.layerNames.indexOf(layerName);
+        if (idx === -1) {
+            throw new Error('Cannot move non-existing layer');
+        }
+        this.trackChanges('moveLayer', [], layerName, () => {
+            this.layerNames.splice(idx, 1);
+            this.layerNames.splice(layerIndex, 0, layerName);
+        });
     }
 
     /**
@@ -380,55 +2227,278 @@ class LayeredConfiguration {
      * Removed the configuration layer with the given name.
      * By passing an array of layer names to this function, multiple layers can be removed at once.
      *
+     * Removed layers are no longer reloaded from watched files or directories.
+     *
      * @param  {String/String[]} layerName One or more names of layers that shall be removed
      */
     removeLayer(layerName) {
-        if (!_.isArray(layerName)) {
-            layerName = [layerName];
-        }
-        _.forEach(layerName, layer => {
-            this.removeSingleLayer(layer);
+        this.trackChanges('removeLayer', [], layerName, () => {
+            _.forEach(_.castArray(layerName), layer => {
+                if (this.getLayer(layer)) {
+                    this.unwatchLayer(this.normalizeLayerName(layer));
+                }
+                this.removeSingleLayer(layer);
+            });
         });
     }
 
     /**
-     * Removes all layers from the configuration
+     * Removes all layers from the configuration and stops watching all files and directories
      */
     removeAllLayers() {
-        this.layers = {};
-        this.layerNames = [];
+        this.unwatchFiles();
+        this.trackChanges('removeLayer', [], this.layerNames.concat(), () => {
+            this.layers = {};
+            this.layerNames = [];
+        });
     }
 
     /**
      * Removes all stored values from the given layer, but keep the layer itself.
      * Multiple layers can be cleared at once by passing an array of layer names to clear.
      *
+     * Read-only layers cannot be cleared - if any of the layers is read-only, an error is thrown and no layer is
+     * cleared.
+     *
      * @param  {String/String[]} layerName One or more layer names to clear the configuration data for
      */
     clearLayer(layerName) {
-        layerName = _.castArray(layerName);
-        _.forEach(layerName, singleLayerName => {
+        _.forEach(_.castArray(layerName), singleLayerName => {
             if (!_.isString(singleLayerName)) {
                 throw new TypeError('layer name needs to be a string');
             }
-            let layer = this.getLayer(singleLayerName);
-            if (layer) {
-                layer.clear();
-            }
+            this.checkWritable(this.getLayer(singleLayerName));
+        });
+        this.trackChanges('clearLayer', [], layerName, () => {
+            _.forEach(_.castArray(layerName), singleLayerName => {
+                let layer = this.getLayer(singleLayerName);
+                if (layer) {
+                    layer.clear();
+                }
+            });
         });
     }
 
     /**
-     * Clears the stored values for all layers in the configuration
+     * Clears the stored values for all layers in the configuration - except for read-only layers
      */
     clearAllLayers() {
-        _.forEach(this.layers, layer => {
-            layer.clear();
+        let layerNames = _.filter(this.layerNames, layerName => !this.layers[layerName].readOnly);
+        this.trackChanges('clearLayer', [], layerNames, () => {
+            _.forEach(layerNames, layerName => {
+                this.layers[layerName].clear();
+            });
+        });
+    }
+
+    /**
+     * Captures the current state of all layers. The snapshot contains the list of `layers` ordered by their priority,
+     * each entry containing the layer's `name`, a deep copy of its `data`, its `readOnly` and `writeToDisk` flags and
+     * the `sourceFile` it has been loaded from.
+     *
+     * The snapshot is deeply frozen, so neither changing the configuration afterwards nor modifying the snapshot
+     * itself alters the captured state. Pass it to #restore() to return to this state.
+     *
+     * @return {Object}     The immutable snapshot
+     */
+    snapshot() {
+        return this.deepFreeze({
+            layers: _.map(this.layerNames, layerName => this.captureLayer(this.layers[layerName]))
+        });
+    }
+
+    /**
+     * Restores the state captured by #snapshot(): All current layers are replaced by the layers of the snapshot -
+     * including their data, order and flags. The snapshot stays untouched and can be restored multiple times.
+     *
+     * The layer data is not validated against an attached schema, since it has already been part of the
+     * configuration before.
+     *
+     * @param  {Object} snapshot    The snapshot created by #snapshot()
+     */
+    restore(snapshot) {
+        if (!_.isPlainObject(snapshot) || !_.isArray(snapshot.layers)) {
+            throw new TypeError('snapshot needs to be an object created by snapshot()');
+        }
+        let layerNames = _.union(this.layerNames, _.map(snapshot.layers, 'name'));
+        this.trackChanges('restore', [], layerNames, () => {
+            this.restoreLayers(snapshot);
         });
     }
 
     // endregion Layer manegement
 
+    // region -- History ----------------------------------------------------------------------------------------------
+
+    /**
+     * Sets the number of operations that are recorded inside the history and can be undone using #undo(). Setting
+     * writes (#set()), adding, removing and clearing layers (#addLayer() and its siblings, #removeLayer(),
+     * #clearLayer() and their "all" variants) as well as committed transactions (#transaction()) are recorded.
+     * Other operations - like loading data from files or moving layers - are not recorded.
+     *
+     * The history is disabled by default. If it contains more operations than the new depth allows, the oldest ones
+     * are dropped. A depth of `0` disables the history and clears it.
+     *
+     * @param {Number} depth    The maximum number of operations to record
+     */
+    setHistoryDepth(depth) {
+        if (!_.isInteger(depth) || depth < 0) {
+            throw new TypeError('depth needs to be a non-negative integer');
+        }
+        this.historyDepth = depth;
+        let removed = Math.max(0, this.historyEntries.length - depth);
+        this.historyEntries.splice(0, removed);
+        this.historyPosition = Math.max(0, this.historyPosition - removed);
+    }
+
+    /**
+     * Returns the recorded operations, oldest first. Each entry contains the `type` of the operation, the `path` and
+     * the `layer` it affected, the `date` it has been performed at and the flag `undone`, which is set for operations
+     * that have been undone and can be redone.
+     *
+     * @return {Object[]}   The recorded operations
+     */
+    history() {
+        return _.map(this.historyEntries, (entry, idx) => {
+            return {
+                type: entry.type,
+                path: entry.path,
+                layer: entry.layer,
+                date: entry.date,
+                undone: idx >= this.historyPosition
+            };
+        });
+    }
+
+    /**
+     * Undoes the most recent recorded operation that has not been undone yet: The values changed by the operation are
+     * restored to the values they had before it. Layers added by the operation are removed, removed layers are added
+     * again at their previous position. All other values - including the changes made by operations that are not
+     * recorded - and the order of the layers are kept. An `undo` event is emitted.
+     *
+     * Recording a new operation drops all operations that have been undone.
+     *
+     * @return {Boolean}    `true` if an operation has been undone, `false` if there is nothing to undo
+     * @throws {Error}      If a layer changed by the operation has been replaced by an operation that is not
+     *                      recorded - like loading a file into it - or if a value would be written into a read-only
+     *                      layer. Nothing is changed in this case.
+     */
+    undo() {
+        if (this.historyPosition === 0) {
+            return false;
+        }
+        let entry = this.historyEntries[this.historyPosition - 1];
+        this.trackChanges('undo', [], _.uniq(_.map(entry.changes, 'layer')), () => {
+            this.applyHistoryChanges(entry.changes, true);
+        });
+        this.historyPosition -= 1;
+        return true;
+    }
+
+    /**
+     * Redoes the operation that has been undone most recently: The values changed by the operation are set to the
+     * values they had after it and the layers it added or removed are added or removed again. A `redo` event is
+     * emitted.
+     *
+     * @return {Boolean}    `true` if an operation has been redone, `false` if there is nothing to redo
+     * @throws {Error}      In the same cases as #undo()
+     */
+    redo() {
+        if (this.historyPosition === this.historyEntries.length) {
+            return false;
+        }
+        let entry = this.historyEntries[this.historyPosition];
+        this.trackChanges('redo', [], _.uniq(_.map(entry.changes, 'layer')), () => {
+            this.applyHistoryChanges(entry.changes, false);
+        });
+        this.historyPosition += 1;
+        return true;
+    }
+
+    /**
+     * Removes all recorded operations from the history
+     */
+    clearHistory() {
+        this.historyEntries = [];
+        this.historyPosition = 0;
+    }
+
+    // endregion History
+
+    // region -- Secrets ----------------------------------------------------------------------------------------------
+
+    /**
+     * Marks all paths matching a pattern as secret. String patterns are split into parts like paths: `*` inside a part
+     * matches any characters, a part consisting of `**` matches any number of parts. So `*.password` matches
+     * `db.password`, while `**.password` also matches `password` and `services.mail.password`. Regular expressions are
+     * tested against the whole path.
+     *
+     * @param {String/RegExp}   pattern     The pattern secret paths match
+     */
+    addSecretPattern(pattern) {
+        if (_.isString(pattern)) {
+            pattern = this.splitPath(pattern);
+        } else if (!_.isRegExp(pattern)) {
+            throw new TypeError('pattern needs to be a string or a regular expression');
+        }
+        this.secretPatterns.push(pattern);
+    }
+
+    /**
+     * Checks, if a configuration path is secret. A path is secret, if it or one of its ancestors
+     *
+     * - has been written using a value wrapped by #secret(),
+     * - has been loaded from a file containing an encrypted value,
+     * - is defined with `secret: true` inside the schema or
+     * - matches a pattern added using #addSecretPattern().
+     *
+     * Secret values can be read like any other value, but #dump(), #toJSON(), #explain(), #diff() and the change
+     * events redact them and #saveToFile() and #saveToDotEnv() encrypt them, if an encryption key has been set. The
+     * callbacks passed to #watch() receive the actual values.
+     *
+     * @param  {String}     path    The configuration path to check
+     * @return {Boolean}            `true` if the path is secret
+     */
+    isSecret(path) {
+        return this.isSecretPath(this.splitPath(path));
+    }
+
+    /**
+     * Sets the key used to encrypt secret values when saving files and to decrypt them when loading files. Encrypted
+     * values are stored as strings starting with `enc:v1:` and are decrypted transparently by #loadFromFile(),
+     * #loadFromDotEnv() and their siblings. Loading a file containing encrypted values without a key - or with the
+     * wrong one - fails.
+     *
+     * @param {String/Buffer}   key     A passphrase, a Buffer of 32 bytes or `null` to disable encryption
+     */
+    setEncryptionKey(key) {
+        this.encryptionKey = key === null ? null : secrets.normalizeKey(key);
+    }
+
+    /**
+     * Returns the effective value at the given path like #getMerged() does, but with all secret values replaced by
+     * `[REDACTED]`. Safe for logging the configuration.
+     *
+     * @param  {String}     [path='']   The configuration path to dump - the whole configuration by default
+     * @return {*}                      The redacted value
+     */
+    dump(path) {
+        let pathArray = this.splitPath(path || '');
+        let value = this.resolveReferences(this.getMergedNode(pathArray), pathArray, true);
+        return this.redact(value, pathArray);
+    }
+
+    /**
+     * Returns the redacted effective configuration when the configuration is serialized using `JSON.stringify()`
+     *
+     * @return {Object}     The redacted effective configuration - see #dump()
+     */
+    toJSON() {
+        return this.dump('');
+    }
+
+    // endregion Secrets
+
     // region -- IO ---------------------------------------------------------------------------------------------------
 
     /**
@@ -437,6 +2507,25 @@ class LayeredConfiguration {
      * If the layer name is omitted, a new layer named 'process_env' will be added.
      * An existing layer having the given layer name will be overwritten.
      *
+     * Since environment variables are always strings, the layer is not validated against an attached schema.
+     *
+     * The variable names are converted into configuration paths in the following order: If `lowerCase` is set, the
+     * name is converted to lower case. The `whitelist` and `match` options are checked against this name. The
+     * `prefix` is stripped (compared case-insensitively if `lowerCase` is set) and the remaining name is split into
+     * path elements using the `nestingSeparator`. Variables listed in `mapping` skip these steps - they are stored
+     * at the mapped path as it is. If `lowerCase` is set, their names are compared case-insensitively. Variables
+     * whose paths contain `__proto__`, `constructor` or `prototype` are skipped.
+     *
+     * By default, all values are stored as strings. Use the `coerce` option to convert them:
+     *
+     * - `true` or `'auto'`: `true` and `false` become booleans, `null` becomes `null`, decimal numbers become numbers
+     *   and JSON array and object literals are parsed. If the `listSeparator` option is set, values containing it are
+     *   split into lists.
+     * - `'guided'`: Values are converted into the type the attached schema expects at their path. If the schema does
+     *   not describe the path, the type of the value at the same path in the other layers is used. Booleans may also
+     *   be written as `yes`, `no`, `on`, `off`, `1` and `0`, arrays as JSON or as lists separated by the
+     *   `listSeparator` (default: `,`). Values of unknown types or values that cannot be converted are kept as strings.
+     *
      * @param  {Object}  options                        A configuration object that controls which environment variables
      *                                                  will be loaded and how their names will be converted to
      *                                                  configuration paths.
@@ -447,6 +2536,19 @@ class LayeredConfiguration {
      *                                                  inside this list
      * @param  {RegExp}   [options.match=undefined]     If set, only import those environment variables that match this
      *                                                  regular expression
+     * @param  {Boolean/String} [options.coerce=false]  How to convert the values: `false` to keep strings, `true` or
+     *                                                  `'auto'` to detect the types or `'guided'` to use the types of
+     *                                                  the schema and the other layers
+     * @param  {String}   [options.listSeparator]       The string separating the items of lists
+     * @param  {String}   [options.prefix]              If set, only import the environment variables starting with
+     *                                                  this prefix and strip it from their names - e.g. `MYAPP_`
+     * @param  {String}   [options.nestingSeparator]    Alias of `separator` which takes precedence over it - e.g.
+     *                                                  `__` to keep single underscores inside of key names
+     * @param  {Object}   [options.mapping]             Environment variable names mapped to the configuration paths
+     *                                                  to store them at - e.g. `{DATABASE_URL: 'db.url'}`. Mapped
+     *                                                  variables are always imported.
+     * @param  {Boolean}  [options.readOnly=false]      Prevent changing the layer's data using #set() and
+     *                                                  #clearLayer()?
      * @param  {String}   [layerName='process_env']     The name of the layer to import the configuration values to.
      *                                                  If the layer does not exist yet, it will be created.
      */
@@ -454,116 +2556,433 @@ class LayeredConfiguration {
         if (!layerName || !layerName.trim()) {
             layerName = 'process_env';
         }
-        this.addLayer(layerName, this.getEnvData(options));
+        this.trackChanges('load', [], layerName, () => {
+            this.putLayer(layerName, this.getEnvData(options, undefined, layerName), 0, options && options.readOnly);
+        });
+    }
+
+    /**
+     * Loads configuration data from a `.env` file and stores it into the given layer. The variables found inside the
+     * file are converted into configuration data the same way #loadFromEnv() converts the process' environment
+     * variables - so the same options apply.
+     *
+     * The file may contain `KEY=value` pairs, optionally prefixed with `export`, and comments starting with `#`.
+     * Values may be double-quoted (supporting the escapes `\n`, `\r`, `\t`, `\"`, `\\` and `\$` as well as
+     * values spanning multiple lines) or single-quoted (taken literally). Encrypted values written by #saveToDotEnv()
+     * are decrypted using the encryption key.
+     *
+     * Like #loadFromEnv(), the layer is added with the highest priority and is not validated against an attached
+     * schema.
+     *
+     * @param  {String}   filePath                      Path to the `.env` file to load
+     * @param  {Object}   [options]                     A configuration object that controls which variables will be
+     *                                                  loaded and how their names will be converted to configuration
+     *                                                  paths - see #loadFromEnv()
+     * @param  {String}   [layerName='dotenv']          The name of the layer to import the configuration values to.
+     *                                                  If the layer does not exist yet, it will be created.
+     * @return {Promise}                                A promise that resolves with the configuration instance when
+     *                                                  the file has been loaded and rejects when an error occurs
+     */
+    loadFromDotEnv(filePath, options, layerName) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(filePath, 'utf8', (err, text) => {
+                if (err) {
+                    return reject(err);
+                }
+                let variables;
+                try {
+                    variables = dotEnv.parse(text);
+                } catch (e) {
+                    return reject(new Error('Illegal .env file ' + filePath + ': ' + e.message));
+                }
+                if (!layerName || !layerName.trim()) {
+                    layerName = 'dotenv';
+                }
+                try {
+                    layerName = this.normalizeLayerName(layerName);
+                    this.trackChanges('load', [], layerName, () => {
+                        let data = this.decryptSecrets(this.getEnvData(options, variables, layerName), [], filePath);
+                        let layer = this.putLayer(layerName, data, 0, options && options.readOnly);
+                        layer.setSource(path.resolve(filePath));
+                    });
+                } catch (e) {
+                    // Illegal options
+                    return reject(e);
+                }
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Stores the configuration data of a layer - or the effective configuration of all layers - into a `.env` file.
+     *
+     * Nested paths are flattened into variable names by joining their parts using the separator, so the path
+     * `db.host` becomes the variable `DB_HOST` by default. Arrays are written as JSON and `null` values as empty
+     * strings.
+     *
+     * If the specified file already exists, it will be overwritten - atomically, just like #saveToFile() does. Like
+     * #saveToFile(), secret values are encrypted if an encryption key has been set - see #setEncryptionKey().
+     *
+     * @param  {String}   layerName                 The name of the layer to store. Pass `null` to store the effective
+     *                                              configuration.
+     * @param  {String}   filePath                  Path to the file that should be written
+     * @param  {Object}   [options]                 Options controlling how the variable names are created
+     * @param  {String}   [options.separator='_']   The string used to join the parts of a path
+     * @param  {Boolean}  [options.upperCase=true]  Convert the variable names to upper case?
+     * @param  {Number}   [options.backups]         The number of backups to keep - defaults to #backupCount
+     * @return {Promise}                            A promise that resolves when the file has been written and rejects
+     *                                              when an error occurs
+     */
+    saveToDotEnv(layerName, filePath, options) {
+        return new Promise(resolve => {
+            options = options || {};
+            let separator = options.separator || '_';
+            let upperCase = options.hasOwnProperty('upperCase') ? Boolean(options.upperCase) : true;
+            let data;
+            if (layerName === null || layerName === undefined) {
+                data = this.getMerged('');
+            } else {
+                if (!_.isString(layerName)) {
+                    throw new TypeError('layerName needs to be a string');
+                }
+                let layer = this.getLayer(this.normalizeLayerName(layerName));
+                if (!layer) {
+                    throw new Error('Cannot save non-existing layer');
+                }
+                data = layer.data;
+            }
+            let variables = {};
+            let flatten = (node, pathArray) => {
+                if (_.isPlainObject(node)) {
+                    _.forEach(node, (value, key) => flatten(value, pathArray.concat(key)));
+                    return;
+                }
+                if (node === undefined) {
+                    return;
+                }
+                let name = pathArray.join(separator);
+                name = upperCase ? name.toUpperCase() : name;
+                if (!/^[A-Za-z_][A-Za-z0-9_.\-]*$/.test(name)) {
+                    throw new Error('Cannot store the path ' + pathArray.join(this.pathSeparator) +
+                        ' as variable in .env files');
+                }
+                if (_.isArray(node)) {
+                    node = JSON.stringify(node);
+                }
+                variables[name] = node === null ? '' : node;
+            };
+            flatten(this.encryptSecrets(tombstone.strip(data), []) || {}, []);
+            let content = dotEnv.stringify(variables);
+            resolve(fileUtils.writeFileWithBackups(filePath, content, this.getBackupCount(options)));
+        });
+    }
+
+    /**
+     * Loads configuration data from command line arguments and stores them into the given layer. By default, the
+     * layer is added with the highest priority.
+     *
+     * Supported syntax:
+     *
+     * - `--db.host=localhost` and `--db.host localhost` - the option name is split into a path using the
+     *   #pathSeparator
+     * - `--cache` sets the value to `true`, `--no-cache` to `false`
+     * - `--tags a --tags b` - repeated options are collected into an array
+     * - `-p 5432` and `-p5432` - short options can be mapped to paths using the `alias` option. Grouped short options
+     *   (`-abc`) are flags.
+     * - `--` ends the options - all following arguments are ignored, just like arguments that are not options
+     *
+     * Options whose paths contain `__proto__`, `constructor` or `prototype` are ignored.
+     *
+     * By default, the values are converted like the `coerce` option of #loadFromEnv() does in `auto` mode - so
+     * `--port 5432` results in a number. Pass `coerce: 'guided'` to use the types of the attached schema and the other
+     * layers instead or `coerce: false` to keep strings. Like #loadFromEnv(), the layer is not validated against an
+     * attached schema.
+     *
+     * @param  {String[]}   [argv=process.argv.slice(2)]    The command line arguments
+     * @param  {Object}     [options]                       Options controlling the parsing
+     * @param  {Object}     [options.alias={}]              Alternative option names mapped to the names to use
+     *                                                      instead - e.g. `{p: 'db.port', v: 'verbose'}`
+     * @param  {String[]}   [options.boolean=[]]            The names of flags that never take a value from the next
+     *                                                      argument
+     * @param  {Boolean/String} [options.coerce=true]       How to convert the values - see #loadFromEnv()
+     * @param  {String}     [options.listSeparator]         The string separating the items of lists
+     * @param  {Number}     [options.layerIndex=0]          The position in the search order to add the layer at
+     * @param  {Boolean}    [options.readOnly=false]        Prevent changing the layer's data using #set() and
+     *                                                      #clearLayer()?
+     * @param  {String}     [layerName='argv']              The name of the layer to store the values in. An existing
+     *                                                      layer with this name is replaced.
+     */
+    loadFromArgv(argv, options, layerName) {
+        options = _.clone(options || {});
+        if (argv === undefined || argv === null) {
+            argv = process.argv.slice(2);
+        }
+        if (!_.isArray(argv)) {
+            throw new TypeError('argv needs to be an Array');
+        }
+        let layerIndex = options.hasOwnProperty('layerIndex') ? options.layerIndex : 0;
+        if (!_.isInteger(layerIndex) || layerIndex < 0) {
+            throw new TypeError('layerIndex needs to be a non-negative integer');
+        }
+        if (!layerName || !layerName.trim()) {
+            layerName = 'argv';
+        }
+        options.coerce = this.normalizeCoerceOption(options.hasOwnProperty('coerce') ? options.coerce : true);
+        let data = {};
+        let seenPaths = [];
+        _.forEach(argvParser.parse(argv, options), entry => {
+            let pathArray = this.splitPath(entry.name);
+            if (pathArray.length === 0 || !this.isSafePath(pathArray)) {
+                // Skip options that would alter prototypes
+                return;
+            }
+            let value = _.isString(entry.value) ? this.coerceValue(entry.value, pathArray, options, layerName) :
+                entry.value;
+            let pathString = pathArray.join(this.pathSeparator);
+            if (seenPaths.indexOf(pathString) !== -1) {
+                // Repeated options are collected into an array
+                value = _.castArray(_.get(data, pathArray)).concat([value]);
+            }
+            seenPaths.push(pathString);
+            _.setWith(data, pathArray, value, Object);
+        });
+        this.trackChanges('load', [], layerName, () => {
+            this.putLayer(layerName, data, layerIndex, options.readOnly);
+        });
+    }
+
+    /**
+     * Registers a file format that can be used to load and save configuration files having the given extension.
+     * Registering a format for an extension that already has a format replaces the existing one.
+     *
+     * Out of the box, Hjson (*.hjson), JSON (*.json), YAML (*.yaml, *.yml), TOML (*.toml) and INI (*.ini) files are
+     * supported. INI sections are mapped to nested paths - by default, dots inside section names are treated as path
+     * separators. To keep them as part of the key, register an INI format without dotted section names:
+     *
+     * `config.registerFormat('.ini', require('layered-config').formats.ini.createFormat({dottedSections: false}))`
+     *
+     * @param  {String}     extension           The file extension including the leading dot - e.g. `.yaml`
+     * @param  {Object}     format              The file format
+     * @param  {Function}   format.parse        Function converting the contents of a file into configuration data
+     * @param  {Function}   format.stringify    Function converting configuration data into the contents of a file
+     * @param  {Function}   [format.update]     Function converting configuration data into the contents of a file
+     *                                          based on the file's previous contents - it is called with the previous
+     *                                          contents and the data. Implement it to keep comments and formatting
+     *                                          when saving layers that have been loaded from files.
+     */
+    registerFormat(extension, format) {
+        if (!_.isString(extension) || !extension.trim()) {
+            throw new TypeError('extension needs to be a non-empty string');
+        }
+        if (!_.isObject(format) || !_.isFunction(format.parse) || !_.isFunction(format.stringify)) {
+            throw new TypeError('format needs to be an object providing a parse and a stringify function');
+        }
+        extension = extension.trim().toLowerCase();
+        if (extension.charAt(0) !== '.') {
+            extension = '.' + extension;
+        }
+        this.fileFormats[extension] = format;
     }
 
     /**
-     * Loads the configuration data from a HJSON file and stores it into the given layer.
+     * Loads the configuration data from a configuration file and stores it into the given layer.
      * If the layer already exists, it will be cleared before adding the new data to it.
      *
+     * The file is parsed using the format registered for its file extension (see #registerFormat()). Files having an
+     * unknown extension are parsed as Hjson.
+     *
      * This function is asynchronous and returns a Promise which resolves when the configuration data has been loaded
      * successfully.
      *
-     * If parsing the HJSON file does not result in an Object, no layer data will be loaded and the promise will be
-     * rejected.
+     * If parsing the file does not result in an Object or the data does not match the attached schema, no
+     * layer data will be loaded and the promise will be rejected.
      *
      * Upon resolving, the promise returns the configuration instance.
      *
-     * @param  {String} filePath            Path to the file to load from disk
-     * @param  {String} [layerName=null]    Name of the layer to store the configuration data in. If no value is
-     *                                      specified, the layer will get the name of the HJSON file without the file
-     *                                      extension.
-     * @return {Promise}                    A promise that resolves when the configuration has been loaded successfully
-     *                                      and rejects when an error occurs
+     * If the `watch` option is set, the file is watched for changes and the layer is reloaded automatically - keeping
+     * its position in the search order. If reloading fails, the layer keeps its previous data and an `error` event is
+     * emitted - if there are any listeners for it. Use #unwatchFiles() or #removeLayer() to stop watching.
+     *
+     * @param  {String}     filePath                Path to the file to load from disk
+     * @param  {String}     [layerName=null]        Name of the layer to store the configuration data in. If no value is
+     *                                              specified, the layer will get the name of the file without the file
+     *                                              extension.
+     * @param  {Object}     [options]               Options controlling the loading
+     * @param  {Boolean}    [options.watch=false]   Reload the layer automatically when the file changes?
+     * @param  {Number}     [options.debounce=100]  The number of milliseconds to wait for further changes of the file
+     *                                              before reloading it
+     * @param  {Boolean}    [options.readOnly]      Prevent changing the layer's data using #set() and #clearLayer()?
+     *                                              Reloading the file is still possible.
+     * @return {Promise}                            A promise that resolves when the configuration has been loaded
+     *                                              successfully and rejects when an error occurs
      */
-    loadFromFile(filePath, layerName) {
-        return new Promise((resolve, reject) => {
-            let rOk = fs.R_OK || fs.constants.R_OK; // Backwards-compatibility
-            fs.access(filePath, rOk, err => {
-                if (err) {
-                    return reject(err);
-                }
-                fs.readFile(filePath, 'utf8', (err, data) => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    if (!layerName || !layerName.trim()) {
-                        layerName = path.basename(filePath, path.extname(filePath));
-                    }
-                    let jsonData = Hjson.parse(data);
-                    if (!_.isPlainObject(jsonData)) {
-                        return reject(new Error('Illegal HJSON configuration file'));
-                    }
-                    this.addLayer(layerName, jsonData);
-                    resolve(this);
-                });
+    loadFromFile(filePath, layerName, options) {
+        options = options || {};
+        return this.readConfigFile(filePath).then(file => {
+            if (!layerName || !layerName.trim()) {
+                layerName = this.getLayerNameForFile(filePath);
+            }
+            layerName = this.normalizeLayerName(layerName);
+            this.trackChanges('load', [], layerName, () => {
+                this.addLayer(layerName, file.data, options).setSource(path.resolve(filePath), file.text);
             });
+            if (options.watch) {
+                this.watchFile(filePath, layerName, options);
+            }
+            return this;
         });
     }
 
     /**
-     * Loads the configuration from a set of HJSON (*.hjson) or JSON (*.json) files residing inside of the given
-     * directory.
+     * Loads the configuration from a set of configuration files residing inside of the given directory. All files
+     * having an extension a format has been registered for are loaded - by default Hjson (*.hjson), JSON (*.json),
+     * YAML (*.yaml, *.yml), TOML (*.toml) and INI (*.ini) files.
      *
      * Each file will create or overwrite a layer with the name of the loaded file without its file extension.
      * Existing layers will be cleared before loading the layer data - so if a layer exists that has no corresponding
      * file, it will still exist, but contain no data. If you want to start with only the layers from the configuration
      * files, use #removeAllLayers() before calling this function.
      *
-     * All files will be loaded in alphabetical order.
+     * All files will be loaded in alphabetical order. The layers are only added after all files have been read
+     * successfully, so a single `load` event is emitted for the whole directory.
      *
-     * ATTENTION: If two files with the same name but different extensions exist, the JSON file's data will overwrite
-     *            the HJSON file's data.
+     * ATTENTION: If two files with the same name but different extensions exist, the data of the file that comes
+     *            last in alphabetical order (e.g. the JSON file's data) will overwrite the other file's data (e.g.
+     *            the HJSON file's data).
      *
-     * @param  {String}     directoryPath   The path to load the layer data from
-     * @return {Promise}                    A Promise that resolves when the data has been saved successfully and
-     *                                      is rejected when an error occurs
+     * If the `watch` option is set, the directory is watched for changes: Changed files are reloaded, new files are
+     * added as new layers with the highest priority and the layers of removed files are removed. Files that cannot be
+     * reloaded keep their previous data and an `error` event is emitted - if there are any listeners for it. Use
+     * #unwatchFiles() to stop watching.
+     *
+     * @param  {String}     directoryPath           The path to load the layer data from
+     * @param  {Object}     [options]               Options controlling the loading
+     * @param  {Boolean}    [options.watch=false]   Reload the layers automatically when the directory changes?
+     * @param  {Number}     [options.debounce=100]  The number of milliseconds to wait for further changes inside the
+     *                                              directory before reloading it
+     * @param  {Boolean}    [options.readOnly]      Prevent changing the layers' data using #set() and #clearLayer()?
+     * @return {Promise}                            A Promise that resolves when the data has been saved successfully
+     *                                              and is rejected when an error occurs
      */
-    loadFromDirectory(directoryPath) {
-        let oldLayerNames = this.layerNames.concat();
-        let oldLayers = _.clone(this.layers);
-        return new Promise((resolve, reject) => {
-            fs.readdir(directoryPath, (err, files) => {
-                if (err) {
-                    return reject(err);
-                }
-                let funcs = [];
-                _.forEach(files.sort(), file => {
-                    let ext = path.extname(file).toLowerCase();
-                    if (ext === '.hjson' || ext === '.json') {
-                        let filePath = path.join(directoryPath, file);
-                        funcs.push(done => {
-                            this.loadFromFile(filePath).then(
-                                ret => done(null, ret),
-                                err => done(err)
-                            );
-                        });
-                    }
-                });
-                async.series(funcs, err => {
+    loadFromDirectory(directoryPath, options) {
+        options = options || {};
+        let filePaths;
+        return this.getConfigFilePaths(directoryPath).then(result => {
+            filePaths = result;
+            return new Promise((resolve, reject) => {
+                async.mapSeries(filePaths, (filePath, done) => {
+                    this.readConfigFile(filePath).then(
+                        file => done(null, file),
+                        err => done(err)
+                    );
+                }, (err, results) => {
                     if (err) {
-                        // Reset the old state before the loading took place
-                        this.layers = oldLayers;
-                        this.layerNames = oldLayerNames;
                         return reject(err);
                     }
-                    return resolve(this);
+                    resolve(results);
+                });
+            });
+        }).then(results => {
+            let layerNames = _.map(filePaths, filePath => this.getLayerNameForFile(filePath));
+            let snapshot = this.snapshot();
+            try {
+                this.trackChanges('load', [], _.uniq(layerNames), () => {
+                    _.forEach(layerNames, (layerName, idx) => {
+                        let file = results[idx];
+                        let layer = this.addLayer(layerName, file.data, options);
+                        layer.setSource(path.resolve(filePaths[idx]), file.text);
+                    });
                 });
+            } catch (e) {
+                // Reset the old state before the loading took place
+                this.restoreLayers(snapshot);
+                throw e;
+            }
+            if (options.watch) {
+                this.watchDirectory(directoryPath, _.uniq(layerNames), options);
+            }
+            return this;
+        });
+    }
+
+    /**
+     * Stops watching files and directories that have been loaded using the `watch` option
+     *
+     * @param  {String} [filePath=null]     The path of the file or directory to stop watching. If omitted, all files
+     *                                      and directories will no longer be watched.
+     */
+    unwatchFiles(filePath) {
+        let paths = filePath ? [path.resolve(filePath)] : _.keys(this.fileWatchers);
+        _.forEach(paths, watchedPath => {
+            if (this.fileWatchers.hasOwnProperty(watchedPath)) {
+                this.fileWatchers[watchedPath].close();
+                delete this.fileWatchers[watchedPath];
+            }
+        });
+    }
+
+    /**
+     * Restores a backup of the file a layer has been loaded from (see #backupCount): The backup replaces the file and
+     * its data replaces the data of the layer. The layer keeps its position in the search order.
+     *
+     * If the backup cannot be parsed or does not match the attached schema, neither the file nor the layer are
+     * changed and the promise is rejected.
+     *
+     * @param  {String}     layerName   The name of the layer to restore
+     * @param  {Number}     [n=1]       The number of the backup to restore - `1` is the most recent one
+     * @return {Promise}                A promise that resolves with the configuration instance when the backup has
+     *                                  been restored and rejects when an error occurs
+     */
+    restoreBackup(layerName, n) {
+        let layer;
+        let file;
+        return new Promise(resolve => {
+            if (!_.isString(layerName)) {
+                throw new TypeError('layerName needs to be a string');
+            }
+            n = n === undefined ? 1 : n;
+            if (!_.isInteger(n) || n < 1) {
+                throw new TypeError('n needs to be a positive integer');
+            }
+            layerName = this.normalizeLayerName(layerName);
+            layer = this.getLayer(layerName);
+            if (!layer || !layer.sourceFile) {
+                throw new Error('Layer ' + layerName + ' has not been loaded from a file');
+            }
+            resolve(this.readConfigFile(fileUtils.getBackupPath(layer.sourceFile, n), layer.sourceFile));
+        }).then(result => {
+            file = result;
+            this.validateLayerData(file.data);
+            return fileUtils.writeFileAtomic(layer.sourceFile, file.text);
+        }).then(() => {
+            this.trackChanges('load', [], layerName, () => {
+                this.reloadLayer(layerName, file, layer.sourceFile);
             });
+            return this;
         });
     }
 
     /**
-     * Stores the configuration data from a specific layer into a HJSON file.
+     * Stores the configuration data from a specific layer into a configuration file. The data is converted using the
+     * format registered for the file's extension - files having an unknown extension are written as Hjson.
+     *
+     * If the layer has been loaded from a file having the same format and the format supports it (like Hjson does),
+     * only the values that have changed are rewritten - the rest of the file's text, including its comments, is kept.
      *
-     * If the specified file already exists, it will be overwritten.
+     * If the specified file already exists, it will be overwritten. The file is written atomically: The data is
+     * written into a temporary file which is flushed to disk and then renamed over the target - so the file never
+     * ends up half-written. If backups are enabled (see #backupCount), the previous content of the file is kept as
+     * `<file>.bak.1` - the backups are rotated after the file has been written, so a failed save keeps them.
      *
-     * @param  {String}     layerName   The name of the layer to store in the resulting file
-     * @param  {String}     filePath    Path to the file that should be written
-     * @return {Promise}                A promise tha resolves when the configuration has been stored successfully and
-     *                                  rejects if an error occures
+     * @param  {String}     layerName                   The name of the layer to store in the resulting file
+     * @param  {String}     filePath                    Path to the file that should be written
+     * @param  {Object}     [options]                   Options controlling the saving
+     * @param  {Number}     [options.backups]           The number of backups to keep - defaults to #backupCount
+     * @return {Promise}                                A promise tha resolves when the configuration has been stored
+     *                                                  successfully and rejects if an error occures
      */
-    saveToFile(layerName, filePath) {
+    saveToFile(layerName, filePath, options) {
         return new Promise((resolve, reject) => {
             if (!_.isString(layerName)) {
                 throw new TypeError('layerName needs to be a string');
@@ -573,51 +2992,97 @@ class LayeredConfiguration {
             if (!layer) {
                 throw new Error('Cannot save non-existing layer');
             }
-            fs.writeFile(filePath, Hjson.stringify(layer.data), err => {
-                if (err) {
-                    return reject(err);
+            let content = this.getFileContent(layer, filePath);
+            resolve(fileUtils.writeFileWithBackups(filePath, content, this.getBackupCount(options || {})).then(() => {
+                if (path.resolve(filePath) === layer.sourceFile) {
+                    layer.sourceText = content;
                 }
-                resolve();
-            });
+            }));
         });
     }
 
     /**
-     * Saves the data of all layers into HJSON (*.hjson) files inside the given directory. Each file will be named the
-     * same as the layer which is stored in it.
+     * Saves the data of all layers into configuration files inside the given directory. Each file will be named the
+     * same as the layer which is stored in it. By default, HJSON (*.hjson) files are written - use the `extension`
+     * option to write the files in another registered format (see #registerFormat()). Like #saveToFile(), comments
+     * and formatting of the files the layers have been loaded from are kept.
      *
-     * @param  {String}     directoryPath   The path to store the layer data in
-     * @return {Promise}                    A Promise that resolves when the data has been saved successfully and
-     *                                      is rejected when an error occurs
+     * Either all files are written or none: All layers are written into temporary files first, which then replace
+     * the target files. If replacing one of the files fails, the files that have already been replaced are restored.
+     *
+     * @param  {String}     directoryPath               The path to store the layer data in
+     * @param  {Object}     [options]                   Options controlling the saving
+     * @param  {String}     [options.extension='.hjson'] The file extension - and thereby the format - of the files
+     * @param  {Number}     [options.backups]           The number of backups to keep - defaults to #backupCount
+     * @return {Promise}                                A Promise that resolves when the data has been saved
+     *                                                  successfully and is rejected when an error occurs
      */
-    saveToDirectory(directoryPath) {
+    saveToDirectory(directoryPath, options) {
+        options = options || {};
+        let extension = options.extension || '.hjson';
+        if (extension.charAt(0) !== '.') {
+            extension = '.' + extension;
+        }
+        let backupCount;
+        let targets;
+        // Runs the given function for each target one after another
+        let series = func => {
+            return _.reduce(targets, (promise, target) => promise.then(() => func(target)), Promise.resolve());
+        };
+        let removeTempFiles = () => series(target => target.tempPath && fileUtils.removeFile(target.tempPath));
         return new Promise((resolve, reject) => {
+            backupCount = this.getBackupCount(options);
             fs.stat(directoryPath, (err, stat) => {
                 if (err) {
                     return reject(err);
                 }
                 if (!stat.isDirectory()) {
-                    throw new Error('Target has to be a directory');
+                    return reject(new Error('Target has to be a directory'));
                 }
-                let funcs = [];
-                _.forEach(this.layers, layer => {
-                    if (layer.writeToDisk) {
-                        funcs.push(next => {
-                            let fileName = path.join(directoryPath, (layer.name + '.hjson'));
-                            this.saveToFile(layer.name, fileName).then(
-                                () => next(),
-                                err => next(err)
-                            );
-                        });
-                    }
+                resolve();
+            });
+        }).then(() => {
+            targets = _.map(_.filter(this.layers, layer => layer.writeToDisk), layer => {
+                let filePath = path.join(directoryPath, (layer.name + extension));
+                return {layer: layer, filePath: filePath, content: this.getFileContent(layer, filePath)};
+            });
+            // First phase: Write all files into temporary files and remember the previous contents
+            return series(target => {
+                return fileUtils.readFileIfExists(target.filePath).then(previous => {
+                    target.previous = previous;
+                    return fileUtils.writeTempFile(target.filePath, target.content);
+                }).then(tempPath => {
+                    target.tempPath = tempPath;
                 });
-                async.series(funcs, err => {
-                    if (err) {
-                        return reject(err);
+            }).catch(err => removeTempFiles().then(() => {
+                throw err;
+            }));
+        }).then(() => {
+            // Second phase: Replace the files - and restore the previous ones if one of them fails
+            let replaced = [];
+            return series(target => {
+                return fileUtils.rename(target.tempPath, target.filePath).then(() => {
+                    replaced.push(target);
+                });
+            }).catch(err => {
+                return _.reduce(replaced, (promise, target) => promise.then(() => {
+                    if (target.previous === null) {
+                        return fileUtils.removeFile(target.filePath);
                     }
-                    resolve();
+                    return fileUtils.writeFileAtomic(target.filePath, target.previous);
+                }), Promise.resolve()).then(removeTempFiles).then(() => {
+                    throw err;
                 });
             });
+        }).then(() => {
+            // Third phase: Keep the previous contents as backups once all files have been replaced
+            return series(target => fileUtils.rotateBackups(target.filePath, backupCount, target.previous));
+        }).then(() => {
+            _.forEach(targets, target => {
+                if (path.resolve(target.filePath) === target.layer.sourceFile) {
+                    target.layer.sourceText = target.content;
+                }
+            });
         });
     }
 
@@ -625,4 +3090,18 @@ class LayeredConfiguration {
 
 }
 
+/**
+ * The marker that deletes a value - see #set()
+ */
+LayeredConfiguration.UNSET = tombstone.UNSET;
+
+/**
+ * Wraps a value to mark it as secret when it is written - see #isSecret()
+ *
+ * @static
+ * @param  {*}      value   The secret value
+ * @return {Secret}         The wrapped value
+ */
+LayeredConfiguration.secret = secrets.secret;
+
 module.exports = LayeredConfiguration;
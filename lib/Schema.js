@@ -0,0 +1,266 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * @private
+ * Checks for each supported type name, if a value is of that type
+ */
+const TYPE_CHECKS = {
+    string: _.isString,
+    number: value => _.isNumber(value) && !_.isNaN(value),
+    integer: _.isInteger,
+    boolean: _.isBoolean,
+    object: _.isPlainObject,
+    array: _.isArray,
+    null: _.isNull
+};
+
+/**
+ * A JSON-Schema-style description of configuration data that configuration values can be validated against.
+ *
+ * The following keywords are supported:
+ *
+ * - `type`:                 The type name or a list of type names the value may have (`string`, `number`,
+ *                           `integer`, `boolean`, `object`, `array`, `null`)
+ * - `enum`:                 A list of allowed values
+ * - `minimum`, `maximum`:   Inclusive limits for numbers
+ * - `exclusiveMinimum`, `exclusiveMaximum`: Exclusive limits for numbers
+ * - `minLength`, `maxLength`, `pattern`:    Constraints for strings
+ * - `minItems`, `maxItems`, `items`:        Constraints for arrays. `items` is the schema all items must match.
+ * - `properties`:           An object containing the schemas for the properties of an object
+ * - `required`:             A list of property names that must exist in an object
+ * - `additionalProperties`: `false` to forbid properties that are not listed in `properties` or a schema the
+ *                           unlisted properties must match
+ * - `secret`:               `true` to mark the value and all of its children as secret - see
+ *                           LayeredConfiguration#isSecret(). It does not affect the validation.
+ *
+ * @class Schema
+ */
+class Schema {
+
+    // region -- Constructor ------------------------------------------------------------------------------------------
+
+    /**
+     * @param  {Object} definition  The schema definition
+     */
+    constructor(definition) {
+        if (!_.isPlainObject(definition)) {
+            throw new TypeError('definition needs to be an Object');
+        }
+
+        /**
+         * @property {Object} definition
+         * The schema definition
+         */
+        this.definition = _.cloneDeep(definition);
+    }
+
+    // endregion Constructor
+
+    // region -- Internal helper functions ----------------------------------------------------------------------------
+
+    /**
+     * @private
+     * Recurses through the given value and validates it against the given schema definition
+     *
+     * @param  {Object}     definition  The schema definition to validate against
+     * @param  {*}          value       The value to validate
+     * @param  {String[]}   pathArray   The path of the value inside the configuration
+     * @param  {Boolean}    partial     `true` to skip the checks for required properties
+     * @param  {Object[]}   errors      The list to add the validation errors to
+     */
+    doValidate(definition, value, pathArray, partial, errors) {
+        if (value === undefined || !_.isPlainObject(definition)) {
+            return;
+        }
+        let addError = message => {
+            errors.push({pathArray: pathArray, message: message});
+        };
+        if (definition.type !== undefined) {
+            let types = _.castArray(definition.type);
+            let matches = _.some(types, type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value));
+            if (!matches) {
+                // All further checks would be meaningless
+                addError('must be of type ' + types.join(' or '));
+                return;
+            }
+        }
+        if (_.isArray(definition.enum) && !_.some(definition.enum, item => _.isEqual(item, value))) {
+            addError('must be one of ' + JSON.stringify(definition.enum));
+        }
+        if (_.isNumber(value)) {
+            this.validateNumber(definition, value, addError);
+        } else if (_.isString(value)) {
+            this.validateString(definition, value, addError);
+        } else if (_.isArray(value)) {
+            this.validateArray(definition, value, pathArray, partial, errors);
+        } else if (_.isPlainObject(value)) {
+            this.validateObject(definition, value, pathArray, partial, errors);
+        }
+    }
+
+    /**
+     * @private
+     * Validates the number-specific keywords
+     *
+     * @param  {Object}     definition  The schema definition to validate against
+     * @param  {Number}     value       The value to validate
+     * @param  {Function}   addError    Function adding an error message for the value
+     */
+    validateNumber(definition, value, addError) {
+        if (_.isNumber(definition.minimum) && value < definition.minimum) {
+            addError('must be >= ' + definition.minimum);
+        }
+        if (_.isNumber(definition.maximum) && value > definition.maximum) {
+            addError('must be <= ' + definition.maximum);
+        }
+        if (_.isNumber(definition.exclusiveMinimum) && value <= definition.exclusiveMinimum) {
+            addError('must be > ' + definition.exclusiveMinimum);
+        }
+        if (_.isNumber(definition.exclusiveMaximum) && value >= definition.exclusiveMaximum) {
+            addError('must be < ' + definition.exclusiveMaximum);
+        }
+    }
+
+    /**
+     * @private
+     * Validates the string-specific keywords
+     *
+     * @param  {Object}     definition  The schema definition to validate against
+     * @param  {String}     value       The value to validate
+     * @param  {Function}   addError    Function adding an error message for the value
+     */
+    validateString(definition, value, addError) {
+        if (_.isInteger(definition.minLength) && value.length < definition.minLength) {
+            addError('must be at least ' + definition.minLength + ' characters long');
+        }
+        if (_.isInteger(definition.maxLength) && value.length > definition.maxLength) {
+            addError('must be at most ' + definition.maxLength + ' characters long');
+        }
+        if (definition.pattern !== undefined && !new RegExp(definition.pattern).test(value)) {
+            addError('must match the pattern ' + definition.pattern);
+        }
+    }
+
+    /**
+     * @private
+     * Validates the array-specific keywords
+     *
+     * @param  {Object}     definition  The schema definition to validate against
+     * @param  {Array}      value       The value to validate
+     * @param  {String[]}   pathArray   The path of the value inside the configuration
+     * @param  {Boolean}    partial     `true` to skip the checks for required properties
+     * @param  {Object[]}   errors      The list to add the validation errors to
+     */
+    validateArray(definition, value, pathArray, partial, errors) {
+        if (_.isInteger(definition.minItems) && value.length < definition.minItems) {
+            errors.push({pathArray: pathArray, message: 'must contain at least ' + definition.minItems + ' items'});
+        }
+        if (_.isInteger(definition.maxItems) && value.length > definition.maxItems) {
+            errors.push({pathArray: pathArray, message: 'must contain at most ' + definition.maxItems + ' items'});
+        }
+        _.forEach(value, (item, idx) => {
+            this.doValidate(definition.items, item, pathArray.concat(String(idx)), partial, errors);
+        });
+    }
+
+    /**
+     * @private
+     * Validates the object-specific keywords
+     *
+     * @param  {Object}     definition  The schema definition to validate against
+     * @param  {Object}     value       The value to validate
+     * @param  {String[]}   pathArray   The path of the value inside the configuration
+     * @param  {Boolean}    partial     `true` to skip the checks for required properties
+     * @param  {Object[]}   errors      The list to add the validation errors to
+     */
+    validateObject(definition, value, pathArray, partial, errors) {
+        let properties = _.isPlainObject(definition.properties) ? definition.properties : {};
+        if (!partial && _.isArray(definition.required)) {
+            _.forEach(definition.required, key => {
+                if (!value.hasOwnProperty(key) || value[key] === undefined) {
+                    errors.push({pathArray: pathArray.concat(key), message: 'is required'});
+                }
+            });
+        }
+        _.forEach(value, (item, key) => {
+            let childPath = pathArray.concat(key);
+            if (properties.hasOwnProperty(key)) {
+                this.doValidate(properties[key], item, childPath, partial, errors);
+            } else if (definition.additionalProperties === false) {
+                errors.push({pathArray: childPath, message: 'is not allowed'});
+            } else {
+                this.doValidate(definition.additionalProperties, item, childPath, partial, errors);
+            }
+        });
+    }
+
+    // endregion Internal helper functions
+
+    // region -- Externally used interface ----------------------------------------------------------------------------
+
+    /**
+     * Validates a value against this schema
+     *
+     * @param  {*}          value                   The value to validate
+     * @param  {Object}     [options]               Options controlling the validation
+     * @param  {Boolean}    [options.partial=false] Set to `true` to skip the checks for required properties. This is
+     *                                              used to validate the data of single layers which usually only
+     *                                              contain a part of the configuration.
+     * @return {Object[]}                           The list of validation errors - each containing the `pathArray`
+     *                                              the error occurred at and a `message`. Empty, if the value is
+     *                                              valid.
+     */
+    validate(value, options) {
+        options = options || {};
+        let errors = [];
+        this.doValidate(this.definition, value, [], Boolean(options.partial), errors);
+        return errors;
+    }
+
+    /**
+     * Returns the schema definition that applies to the value at the given path
+     *
+     * @param  {String[]}   pathArray   The path of the value inside the configuration
+     * @return {Object}                 The schema definition or `undefined` if the schema does not describe the path
+     */
+    getDefinition(pathArray) {
+        let definition = this.definition;
+        _.forEach(pathArray, key => {
+            if (_.isPlainObject(definition.properties) && definition.properties.hasOwnProperty(key)) {
+                definition = definition.properties[key];
+            } else if (_.isPlainObject(definition.additionalProperties)) {
+                definition = definition.additionalProperties;
+            } else if (_.isPlainObject(definition.items) && /^\d+$/.test(key)) {
+                definition = definition.items;
+            } else {
+                definition = undefined;
+            }
+            if (!_.isPlainObject(definition)) {
+                definition = undefined;
+                return false;
+            }
+        });
+        return definition;
+    }
+
+    /**
+     * Checks if the value at the given path is marked as secret - either by its own definition or by the definition
+     * of one of its ancestors
+     *
+     * @param  {String[]}   pathArray   The path of the value
+     * @return {Boolean}                `true` if the value is secret
+     */
+    isSecret(pathArray) {
+        return _.some(_.range(pathArray.length + 1), length => {
+            let definition = this.getDefinition(_.take(pathArray, length));
+            return Boolean(definition && definition.secret === true);
+        });
+    }
+
+    // endregion Externally used interface
+
+}
+
+module.exports = Schema;
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Wraps a value to mark it as secret when it is written into the configuration - see LayeredConfiguration.secret()
+ *
+ * @class Secret
+ */
+class Secret {
+
+    // region -- Constructor ------------------------------------------------------------------------------------------
+
+    /**
+     * @param  {*}  value   The secret value
+     */
+    constructor(value) {
+        /**
+         * @property {*} value
+         * The secret value
+         */
+        this.value = value;
+    }
+
+    // endregion Constructor
+
+}
+
+module.exports = Secret;
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Error thrown when configuration data does not match the schema attached to a configuration
+ *
+ * @class ValidationError
+ */
+class ValidationError extends Error {
+
+    // region -- Constructor ------------------------------------------------------------------------------------------
+
+    /**
+     * @param  {String}     message     The error message
+     * @param  {Object[]}   errors      The list of validation errors, each containing the configuration `path` the
+     *                                  error occurred at and a `message` describing the error
+     */
+    constructor(message, errors) {
+        super(message);
+
+        /**
+         * @property {String} name
+         * The name of the error class
+         */
+        this.name = 'ValidationError';
+
+        /**
+         * @property {Object[]} errors
+         * The list of validation errors, each containing the `path` and a `message`
+         */
+        this.errors = errors || [];
+    }
+
+    // endregion Constructor
+
+}
+
+module.exports = ValidationError;
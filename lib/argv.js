@@ -0,0 +1,95 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * Checks if a command line argument is an option - negative numbers are values
+ *
+ * @param  {String}     arg     The argument
+ * @return {Boolean}            `true` if the argument is an option
+ */
+function isOption(arg) {
+    return /^--./.test(arg) || /^-[A-Za-z]/.test(arg);
+}
+
+/**
+ * Parses command line arguments into a list of option entries.
+ *
+ * Supported syntax:
+ *
+ * - `--name=value` and `--name value` - the value is taken from the next argument if it is not an option itself
+ * - `--name` - a flag which is set to `true`
+ * - `--no-name` - a negated flag which is set to `false`
+ * - `-n value`, `-n=value`, `-n5` and `-abc` - short options. A value may directly follow a short option if it does
+ *   not start with a letter. Otherwise, grouped short options are flags, only the last one may take a value.
+ * - `--` - ends the options, all following arguments are ignored
+ *
+ * Arguments that are neither options nor option values are ignored.
+ *
+ * @param  {String[]}   args                    The command line arguments - without the node binary and script path
+ * @param  {Object}     [options]               Options controlling the parsing
+ * @param  {Object}     [options.alias={}]      Alternative option names (e.g. `{p: 'db.port'}`) mapped to the names
+ *                                              to use instead
+ * @param  {String[]}   [options.boolean=[]]    The names of the options that never take a value from the next argument
+ * @return {Object[]}                           The options found - each containing the `name` of the option and its
+ *                                              `value`: A string for options having a value, `true` or `false` for
+ *                                              flags
+ */
+function parse(args, options) {
+    options = options || {};
+    let aliases = options.alias || {};
+    let booleans = options.boolean || [];
+    let entries = [];
+    let resolveName = name => (aliases.hasOwnProperty(name) ? aliases[name] : name);
+    let idx = 0;
+
+    /**
+     * Adds an option, taking its value from the next argument if possible
+     *
+     * @param  {String} name    The name of the option
+     * @param  {String} [value] The value given using `=`
+     */
+    let addOption = (name, value) => {
+        name = resolveName(name);
+        if (value === undefined && booleans.indexOf(name) === -1 && idx + 1 < args.length &&
+            !isOption(String(args[idx + 1]))) {
+            idx += 1;
+            value = String(args[idx]);
+        }
+        entries.push({name: name, value: value === undefined ? true : value});
+    };
+
+    for (; idx < args.length; idx += 1) {
+        let arg = String(args[idx]);
+        if (arg === '--') {
+            break;
+        }
+        let match = arg.match(/^--([^=]+)(?:=([\s\S]*))?$/);
+        if (match) {
+            if (match[2] === undefined && /^no-./.test(match[1]) && !aliases.hasOwnProperty(match[1])) {
+                entries.push({name: resolveName(match[1].slice(3)), value: false});
+            } else {
+                addOption(match[1], match[2]);
+            }
+            continue;
+        }
+        if (/^-[A-Za-z][^A-Za-z=]/.test(arg)) {
+            // The value directly follows the short option
+            addOption(arg.charAt(1), arg.slice(2));
+            continue;
+        }
+        match = arg.match(/^-([A-Za-z][^=]*)(?:=([\s\S]*))?$/);
+        if (match) {
+            let flags = match[1].split('');
+            _.forEach(_.initial(flags), flag => {
+                entries.push({name: resolveName(flag), value: true});
+            });
+            addOption(_.last(flags), match[2]);
+        }
+    }
+    return entries;
+}
+
+module.exports = {
+    parse: parse
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * @private
+ * Matches decimal numbers
+ */
+const NUMBER_REGEX = /^[+\-]?(\d+\.?\d*|\.\d+)(e[+\-]?\d+)?$/i;
+
+/**
+ * @private
+ * The strings that are converted into booleans if a boolean is expected
+ */
+const BOOLEAN_STRINGS = {
+    true: true, yes: true, on: true, 1: true,
+    false: false, no: false, off: false, 0: false
+};
+
+/**
+ * @private
+ * The number of milliseconds per duration unit
+ */
+const DURATION_UNITS = {
+    ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * @private
+ * The number of bytes per size unit - decimal prefixes are treated like binary ones
+ */
+const BYTE_UNITS = {
+    b: 1,
+    k: 1024, kb: 1024, kib: 1024,
+    m: Math.pow(1024, 2), mb: Math.pow(1024, 2), mib: Math.pow(1024, 2),
+    g: Math.pow(1024, 3), gb: Math.pow(1024, 3), gib: Math.pow(1024, 3),
+    t: Math.pow(1024, 4), tb: Math.pow(1024, 4), tib: Math.pow(1024, 4)
+};
+
+/**
+ * Converts a string into a number
+ *
+ * @param  {String} text    The string to convert
+ * @return {Number}         The number or `undefined` if the string does not contain a number
+ */
+function toNumber(text) {
+    text = text.trim();
+    return NUMBER_REGEX.test(text) ? Number(text) : undefined;
+}
+
+/**
+ * Converts a string into a boolean
+ *
+ * @param  {String}     text    The string to convert
+ * @param  {Boolean}    strict  `true` to only accept `true` and `false`, otherwise `yes`, `no`, `on`, `off`, `1` and
+ *                              `0` are accepted, too
+ * @return {Boolean}            The boolean or `undefined` if the string does not contain a boolean
+ */
+function toBoolean(text, strict) {
+    text = text.trim().toLowerCase();
+    if (strict && text !== 'true' && text !== 'false') {
+        return undefined;
+    }
+    return BOOLEAN_STRINGS.hasOwnProperty(text) ? BOOLEAN_STRINGS[text] : undefined;
+}
+
+/**
+ * Parses a JSON array or object literal
+ *
+ * @param  {String}     text        The string to parse
+ * @param  {Function}   typeCheck   Function checking if the parsed value has the expected type
+ * @return {*}                      The parsed value or `undefined` if the string does not contain such a literal
+ */
+function toJson(text, typeCheck) {
+    text = text.trim();
+    if (text.charAt(0) !== '[' && text.charAt(0) !== '{') {
+        return undefined;
+    }
+    try {
+        let value = JSON.parse(text);
+        return typeCheck(value) ? value : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Splits a string into a list
+ *
+ * @param  {String}     text        The string to split
+ * @param  {String}     separator   The string separating the items
+ * @param  {Function}   coerceItem  Function converting each item
+ * @return {Array}                  The list of converted items
+ */
+function toList(text, separator, coerceItem) {
+    if (!text.trim()) {
+        return [];
+    }
+    return _.map(text.split(separator), item => coerceItem(item.trim()));
+}
+
+/**
+ * Converts a duration into milliseconds. Numbers are treated as milliseconds, strings consist of one or more
+ * numbers followed by a unit (`ms`, `s`, `m`, `h`, `d` or `w`) - e.g. `30s`, `5m` or `1h 30m`. Strings containing
+ * a plain number are treated as milliseconds, too.
+ *
+ * @param  {Number/String}  value   The duration
+ * @return {Number}                 The number of milliseconds or `undefined` if the value is not a valid duration
+ */
+function toDuration(value) {
+    if (_.isNumber(value)) {
+        return _.isFinite(value) && value >= 0 ? value : undefined;
+    }
+    if (!_.isString(value)) {
+        return undefined;
+    }
+    let text = value.trim().toLowerCase();
+    if (NUMBER_REGEX.test(text)) {
+        return toDuration(Number(text));
+    }
+    if (!/^(\d+(\.\d+)?\s*(ms|s|m|h|d|w)\s*)+$/.test(text)) {
+        return undefined;
+    }
+    let result = 0;
+    let partRegex = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)/g;
+    let match = partRegex.exec(text);
+    while (match) {
+        result += Number(match[1]) * DURATION_UNITS[match[2]];
+        match = partRegex.exec(text);
+    }
+    return result;
+}
+
+/**
+ * Converts a size into bytes. Numbers are treated as bytes, strings consist of a number optionally followed by a
+ * unit (`B`, `KB`, `MB`, `GB`, `TB` or their binary variants `KiB`, `MiB`, ... - case-insensitive) - e.g. `512MB` or
+ * `1.5 GiB`. All units are based on 1024: `1KB` equals `1KiB`.
+ *
+ * @param  {Number/String}  value   The size
+ * @return {Number}                 The number of bytes or `undefined` if the value is not a valid size
+ */
+function toBytes(value) {
+    if (_.isNumber(value)) {
+        return _.isFinite(value) && value >= 0 ? Math.round(value) : undefined;
+    }
+    if (!_.isString(value)) {
+        return undefined;
+    }
+    let match = /^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/.exec(value.trim().toLowerCase());
+    if (!match || (match[2] && !BYTE_UNITS.hasOwnProperty(match[2]))) {
+        return undefined;
+    }
+    return Math.round(Number(match[1]) * (match[2] ? BYTE_UNITS[match[2]] : 1));
+}
+
+/**
+ * Returns the type name of a configuration value - as used by schemas
+ *
+ * @param  {*}      value   The value
+ * @return {String}         The type name: `string`, `number`, `boolean`, `null`, `array` or `object`
+ */
+function getType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (_.isArray(value)) {
+        return 'array';
+    }
+    if (_.isPlainObject(value)) {
+        return 'object';
+    }
+    return typeof value;
+}
+
+/**
+ * Converts a string into a typed value.
+ *
+ * Without expected types, the type is detected automatically: `true` and `false` become booleans, `null` becomes
+ * `null`, decimal numbers become numbers and JSON array and object literals are parsed. If a list separator is given,
+ * strings containing it are split into lists whose items are converted the same way. All other strings are kept.
+ *
+ * With expected types, the string is converted into the first of these types it can be converted into. Booleans may
+ * also be written as `yes`, `no`, `on`, `off`, `1` and `0`, arrays may also be written as lists. If the string cannot
+ * be converted into any of the types, it is kept.
+ *
+ * @param  {String}     text                        The string to convert
+ * @param  {Object}     [options]                   Options controlling the conversion
+ * @param  {String[]}   [options.types]             The expected types (`string`, `number`, `integer`, `boolean`,
+ *                                                  `null`, `array`, `object`) - detected automatically if omitted
+ * @param  {String[]}   [options.itemTypes]         The expected types of list items - detected automatically if
+ *                                                  omitted
+ * @param  {String}     [options.listSeparator]     The string separating the items of lists
+ * @return {*}                                      The converted value
+ */
+function coerce(text, options) {
+    options = options || {};
+    if (!_.isString(text)) {
+        return text;
+    }
+    let coerceItem = item => coerce(item, {types: options.itemTypes});
+    if (!options.types) {
+        let candidates = [
+            text.trim() === 'null' ? null : undefined,
+            toBoolean(text, true),
+            toNumber(text),
+            toJson(text, value => _.isArray(value) || _.isPlainObject(value))
+        ];
+        let result = _.find(candidates, candidate => candidate !== undefined);
+        if (result !== undefined) {
+            return result;
+        }
+        if (options.listSeparator && text.indexOf(options.listSeparator) !== -1) {
+            return toList(text, options.listSeparator, coerceItem);
+        }
+        return text;
+    }
+    let converters = {
+        string: () => text,
+        number: () => toNumber(text),
+        integer: () => {
+            let value = toNumber(text);
+            return _.isInteger(value) ? value : undefined;
+        },
+        boolean: () => toBoolean(text, false),
+        null: () => (text.trim() === 'null' || text === '' ? null : undefined),
+        array: () => {
+            let value = toJson(text, _.isArray);
+            return value === undefined ? toList(text, options.listSeparator || ',', coerceItem) : value;
+        },
+        object: () => toJson(text, _.isPlainObject)
+    };
+    let result;
+    _.forEach(options.types, type => {
+        if (converters.hasOwnProperty(type)) {
+            result = converters[type]();
+            if (result !== undefined) {
+                return false;
+            }
+        }
+    });
+    return result === undefined ? text : result;
+}
+
+module.exports = {
+    coerce: coerce,
+    getType: getType,
+    toDuration: toDuration,
+    toBytes: toBytes
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * Compares two configuration nodes and returns the list of leaf-level differences between them.
+ *
+ * Plain objects are compared key by key. Any other value (including arrays) is compared as a whole - if it differs,
+ * the difference is reported at the path of the value.
+ *
+ * @param  {*}          oldNode             The node before the change
+ * @param  {*}          newNode             The node after the change
+ * @param  {String[]}   [pathArray=[]]      The configuration path both nodes are located at
+ * @return {Object[]}                       The list of differences, each containing the `pathArray` of the changed
+ *                                          value, the `oldValue` and the `newValue`. `undefined` values indicate
+ *                                          values that have been added or removed.
+ */
+function diffNodes(oldNode, newNode, pathArray) {
+    pathArray = pathArray || [];
+    if (_.isEqual(oldNode, newNode)) {
+        return [];
+    }
+    if (!_.isPlainObject(oldNode) || !_.isPlainObject(newNode)) {
+        return [{pathArray: pathArray, oldValue: oldNode, newValue: newNode}];
+    }
+    let result = [];
+    _.forEach(_.union(_.keys(oldNode), _.keys(newNode)), key => {
+        result = result.concat(diffNodes(
+            oldNode.hasOwnProperty(key) ? oldNode[key] : undefined,
+            newNode.hasOwnProperty(key) ? newNode[key] : undefined,
+            pathArray.concat(key)
+        ));
+    });
+    return result;
+}
+
+module.exports = {
+    diffNodes: diffNodes
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * @private
+ * The escape sequences supported inside double-quoted values
+ */
+const ESCAPES = {'n': '\n', 'r': '\r', 't': '\t', '"': '"', '\\': '\\', '$': '$'};
+
+/**
+ * Parses a double-quoted value starting at the given position
+ *
+ * @param  {String} text    The text to parse
+ * @param  {Number} start   The position of the opening quote
+ * @return {Object}         An object containing the unescaped `value` and the position `end` after the closing quote
+ */
+function parseDoubleQuoted(text, start) {
+    let value = '';
+    let pos = start + 1;
+    while (pos < text.length) {
+        let char = text.charAt(pos);
+        if (char === '"') {
+            return {value: value, end: pos + 1};
+        }
+        if (char === '\\' && pos + 1 < text.length) {
+            let next = text.charAt(pos + 1);
+            value += ESCAPES.hasOwnProperty(next) ? ESCAPES[next] : '\\' + next;
+            pos += 2;
+        } else {
+            value += char;
+            pos += 1;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses the contents of a `.env` file into a map of variable names and their values.
+ *
+ * Supported syntax:
+ *
+ * - `KEY=value` - unquoted values are trimmed, text after ` #` is treated as comment
+ * - `KEY="value"` - double-quoted values may span multiple lines and support the escapes `\n`, `\r`, `\t`, `\"`,
+ *   `\\` and `\$`
+ * - `KEY='value'` - single-quoted values are taken literally
+ * - `export KEY=value` - the `export` prefix is ignored
+ * - Lines starting with `#` are comments
+ *
+ * @param  {String} text    The contents of the `.env` file
+ * @return {Object}         The variables found inside the file
+ */
+function parse(text) {
+    let variables = {};
+    let lineRegex = /^[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_.\-]*)[ \t]*=[ \t]*/;
+    let pos = 0;
+    let lineNumber = 1;
+    text = text.replace(/\r\n?/g, '\n');
+    while (pos < text.length) {
+        let lineEnd = text.indexOf('\n', pos);
+        if (lineEnd === -1) {
+            lineEnd = text.length;
+        }
+        let line = text.slice(pos, lineEnd);
+        let startLine = lineNumber;
+        if (!line.trim() || line.trim().charAt(0) === '#') {
+            pos = lineEnd + 1;
+            lineNumber += 1;
+            continue;
+        }
+        let match = line.match(lineRegex);
+        if (!match) {
+            throw new Error('Illegal .env data in line ' + startLine);
+        }
+        let valueStart = pos + match[0].length;
+        let quote = text.charAt(valueStart);
+        let value;
+        let end;
+        if (quote === '"') {
+            let result = parseDoubleQuoted(text, valueStart);
+            if (!result) {
+                throw new Error('Unterminated quoted value in line ' + startLine);
+            }
+            value = result.value;
+            end = result.end;
+        } else if (quote === '\'' || quote === '`') {
+            let closing = text.indexOf(quote, valueStart + 1);
+            if (closing === -1) {
+                throw new Error('Unterminated quoted value in line ' + startLine);
+            }
+            value = text.slice(valueStart + 1, closing);
+            end = closing + 1;
+        } else {
+            value = text.slice(valueStart, lineEnd).replace(/(^|[ \t]+)#.*$/, '').trim();
+            end = lineEnd;
+        }
+        // Only a comment may follow a quoted value
+        let restEnd = text.indexOf('\n', end);
+        if (restEnd === -1) {
+            restEnd = text.length;
+        }
+        let rest = text.slice(end, restEnd).trim();
+        if (rest && rest.charAt(0) !== '#') {
+            throw new Error('Illegal .env data in line ' + startLine);
+        }
+        lineNumber += text.slice(pos, restEnd).split('\n').length;
+        pos = restEnd + 1;
+        variables[match[1]] = value;
+    }
+    return variables;
+}
+
+/**
+ * Converts a map of variable names and values into the contents of a `.env` file. Values containing characters
+ * that are not safe to write unquoted are double-quoted and escaped.
+ *
+ * @param  {Object} variables   The variables to write
+ * @return {String}             The contents of the `.env` file
+ */
+function stringify(variables) {
+    return _.map(variables, (value, key) => {
+        value = String(value);
+        if (!/^[A-Za-z0-9_.\/:@,+\-]*$/.test(value)) {
+            value = '"' + value.replace(/[\\"$\n\r\t]/g, char => {
+                return '\\' + _.findKey(ESCAPES, escaped => escaped === char);
+            }) + '"';
+        }
+        return key + '=' + value + '\n';
+    }).join('');
+}
+
+module.exports = {
+    parse: parse,
+    stringify: stringify
+};
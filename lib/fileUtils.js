@@ -0,0 +1,184 @@
+'use strict';
+
+let fs = require('fs');
+let async = require('async');
+
+/**
+ * @private
+ * Counter making the names of temporary files unique within the process
+ */
+let tempFileCounter = 0;
+
+/**
+ * Returns the path of the given backup of a file
+ *
+ * @param  {String} filePath    The path of the file
+ * @param  {Number} n           The number of the backup - `1` is the most recent one
+ * @return {String}             The path of the backup file
+ */
+function getBackupPath(filePath, n) {
+    return filePath + '.bak.' + n;
+}
+
+/**
+ * Writes content into a new temporary file next to the given file and flushes it to disk
+ *
+ * @param  {String} filePath    The path of the file the temporary file is created for
+ * @param  {String} content     The content to write
+ * @return {Promise}            A promise that resolves with the path of the temporary file
+ */
+function writeTempFile(filePath, content) {
+    tempFileCounter += 1;
+    let tempPath = filePath + '.' + process.pid + '.' + tempFileCounter + '.tmp';
+    return new Promise((resolve, reject) => {
+        fs.open(tempPath, 'wx', (err, fd) => {
+            if (err) {
+                return reject(err);
+            }
+            async.series([
+                next => fs.write(fd, content, null, 'utf8', err => next(err)),
+                next => fs.fsync(fd, next)
+            ], err => {
+                fs.close(fd, closeErr => {
+                    err = err || closeErr;
+                    if (err) {
+                        return fs.unlink(tempPath, () => reject(err));
+                    }
+                    resolve(tempPath);
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Renames a file, replacing an eventually existing target
+ *
+ * @param  {String} sourcePath  The path of the file to rename
+ * @param  {String} targetPath  The new path of the file
+ * @return {Promise}            A promise that resolves when the file has been renamed
+ */
+function rename(sourcePath, targetPath) {
+    return new Promise((resolve, reject) => {
+        fs.rename(sourcePath, targetPath, err => {
+            if (err) {
+                return reject(err);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Removes a file. Files that do not exist are ignored.
+ *
+ * @param  {String} filePath    The path of the file to remove
+ * @return {Promise}            A promise that resolves when the file has been removed
+ */
+function removeFile(filePath) {
+    return new Promise((resolve, reject) => {
+        fs.unlink(filePath, err => {
+            if (err && err.code !== 'ENOENT') {
+                return reject(err);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Reads a file
+ *
+ * @param  {String} filePath    The path of the file to read
+ * @return {Promise}            A promise that resolves with the contents of the file - or `null` if it does not exist
+ */
+function readFileIfExists(filePath) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(filePath, 'utf8', (err, text) => {
+            if (err) {
+                return err.code === 'ENOENT' ? resolve(null) : reject(err);
+            }
+            resolve(text);
+        });
+    });
+}
+
+/**
+ * Writes a file atomically: The content is written into a temporary file, flushed to disk and then renamed over the
+ * target. So the target either contains its previous or its new content - even if the process crashes or the disk
+ * runs full.
+ *
+ * @param  {String} filePath    The path of the file to write
+ * @param  {String} content     The content to write
+ * @return {Promise}            A promise that resolves when the file has been written
+ */
+function writeFileAtomic(filePath, content) {
+    return writeTempFile(filePath, content).then(tempPath => {
+        return rename(tempPath, filePath).catch(err => {
+            return removeFile(tempPath).then(() => {
+                throw err;
+            });
+        });
+    });
+}
+
+/**
+ * Rotates the backups of a file: The existing backups are renamed to the next higher number - dropping the oldest
+ * one - and the current content of the file becomes backup number 1. Nothing is done if the file does not exist.
+ *
+ * @param  {String} filePath            The path of the file to back up
+ * @param  {Number} count               The number of backups to keep. If `0`, no backups are created.
+ * @param  {String} [previousContent]   The content to store as backup number 1 instead of the current content -
+ *                                      used if the file has already been replaced. `null` if the file did not exist.
+ * @return {Promise}                    A promise that resolves when the backups have been rotated
+ */
+function rotateBackups(filePath, count, previousContent) {
+    if (!count || count < 1) {
+        return Promise.resolve();
+    }
+    let reading = previousContent === undefined ? readFileIfExists(filePath) : Promise.resolve(previousContent);
+    return reading.then(content => {
+        if (content === null) {
+            return;
+        }
+        let rotation = removeFile(getBackupPath(filePath, count));
+        for (let n = count - 1; n >= 1; n -= 1) {
+            rotation = rotation.then(() => {
+                return rename(getBackupPath(filePath, n), getBackupPath(filePath, n + 1)).catch(err => {
+                    if (err.code !== 'ENOENT') {
+                        throw err;
+                    }
+                });
+            });
+        }
+        return rotation.then(() => writeFileAtomic(getBackupPath(filePath, 1), content));
+    });
+}
+
+/**
+ * Writes a file atomically (see #writeFileAtomic()) and keeps its previous content as backup. The backups are only
+ * rotated after the file has been written, so a failed write keeps all backups.
+ *
+ * @param  {String} filePath    The path of the file to write
+ * @param  {String} content     The content to write
+ * @param  {Number} count       The number of backups to keep. If `0`, no backups are created.
+ * @return {Promise}            A promise that resolves when the file has been written and the backups have been
+ *                              rotated
+ */
+function writeFileWithBackups(filePath, content, count) {
+    let reading = count >= 1 ? readFileIfExists(filePath) : Promise.resolve(null);
+    return reading.then(previousContent => {
+        return writeFileAtomic(filePath, content).then(() => rotateBackups(filePath, count, previousContent));
+    });
+}
+
+module.exports = {
+    getBackupPath: getBackupPath,
+    writeTempFile: writeTempFile,
+    rename: rename,
+    removeFile: removeFile,
+    readFileIfExists: readFileIfExists,
+    writeFileAtomic: writeFileAtomic,
+    rotateBackups: rotateBackups,
+    writeFileWithBackups: writeFileWithBackups
+};
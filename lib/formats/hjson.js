@@ -0,0 +1,630 @@
+'use strict';
+
+let _ = require('lodash');
+let Hjson = require('hjson');
+
+/**
+ * Detects the formatting options of the given Hjson file contents, so rewriting the file keeps its style
+ *
+ * @param  {String} text    The file contents
+ * @return {Object}         The options to pass to Hjson.stringify()
+ */
+function detectFormatting(text) {
+    let indentMatch = text.match(/^([ \t]+)\S/m);
+    let space = 2;
+    if (indentMatch) {
+        space = indentMatch[1].charAt(0) === '\t' ? '\t' : indentMatch[1].length;
+    }
+    return {
+        space: space,
+        bracesSameLine: /:[ \t]*[\{\[][ \t]*$/m.test(text),
+        separator: /,[ \t]*((#|\/\/).*)?$/m.test(text),
+        quotes: /^[ \t]*"[^"\n]*"[ \t]*:/m.test(text) ? 'keys' : 'min',
+        eol: text.indexOf('\r\n') === -1 ? '\n' : '\r\n'
+    };
+}
+
+/**
+ * @private
+ * Matches the quoteless values that are parsed as numbers, booleans or `null` - these may be followed by a comma, a
+ * closing bracket or a comment
+ */
+const LITERAL_REGEX = /^(true|false|null|-?\d+(\.\d+)?([eE][+\-]?\d+)?)(?=[ \t]*($|\r|,|\]|\}|#|\/\/|\/\*))/;
+
+/**
+ * @private
+ * Scans the contents of a Hjson file and records where its values start and end. The resulting nodes are used to
+ * patch single values without touching the rest of the file.
+ *
+ * Nodes have a `type` (`object`, `array` or `value`) and the `start` and `end` offsets of their text. Objects contain
+ * their `members` - each having its `key`, the `keyStart` offset, the `value` node and the offset of the `comma`
+ * following it - and the offset of their closing brace (`closeStart`), arrays contain their `items`. The object at
+ * the root of a file may omit its braces (`braceless`).
+ *
+ * @class Scanner
+ */
+class Scanner {
+
+    /**
+     * @param  {String} text    The file contents
+     */
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+    }
+
+    /**
+     * Scans the whole file
+     *
+     * @return {Object}     The root node
+     * @throws {Error}      If the file cannot be scanned
+     */
+    scanRoot() {
+        this.skipWhitespace();
+        let node;
+        if (this.text.charAt(this.pos) === '{' || this.text.charAt(this.pos) === '[') {
+            node = this.scanValue();
+        } else {
+            node = this.scanObject(true);
+        }
+        this.skipWhitespace();
+        if (this.pos < this.text.length) {
+            throw new Error('Unexpected content at offset ' + this.pos);
+        }
+        return node;
+    }
+
+    /**
+     * Skips whitespace and comments
+     */
+    skipWhitespace() {
+        let text = this.text;
+        while (this.pos < text.length) {
+            let c = text.charAt(this.pos);
+            if (/\s/.test(c)) {
+                this.pos += 1;
+            } else if (c === '#' || text.substr(this.pos, 2) === '//') {
+                this.pos = this.lineEnd(this.pos);
+            } else if (text.substr(this.pos, 2) === '/*') {
+                let end = text.indexOf('*/', this.pos + 2);
+                if (end === -1) {
+                    throw new Error('Unterminated comment');
+                }
+                this.pos = end + 2;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Skips spaces and tabs
+     */
+    skipSpaces() {
+        while (this.text.charAt(this.pos) === ' ' || this.text.charAt(this.pos) === '\t') {
+            this.pos += 1;
+        }
+    }
+
+    /**
+     * Returns the offset of the end of the line containing the given offset
+     *
+     * @param  {Number} offset  The offset
+     * @return {Number}         The offset of the line break or the end of the text
+     */
+    lineEnd(offset) {
+        let end = this.text.indexOf('\n', offset);
+        return end === -1 ? this.text.length : end;
+    }
+
+    /**
+     * Scans a value starting at the current position
+     *
+     * @return {Object}     The node of the value
+     */
+    scanValue() {
+        this.skipWhitespace();
+        let c = this.text.charAt(this.pos);
+        if (c === '{') {
+            return this.scanObject(false);
+        }
+        if (c === '[') {
+            return this.scanArray();
+        }
+        let start = this.pos;
+        if (c === '"' || c === '\'') {
+            this.skipString();
+        } else {
+            let line = this.text.slice(start, this.lineEnd(start));
+            let match = LITERAL_REGEX.exec(line);
+            this.pos = start + (match ? match[1].length : line.replace(/\s+$/, '').length);
+            if (this.pos === start) {
+                throw new Error('Missing value at offset ' + start);
+            }
+        }
+        return {type: 'value', start: start, end: this.pos};
+    }
+
+    /**
+     * Skips a quoted or multiline string starting at the current position
+     */
+    skipString() {
+        let text = this.text;
+        let quote = text.charAt(this.pos);
+        if (text.substr(this.pos, 3) === '\'\'\'') {
+            let end = text.indexOf('\'\'\'', this.pos + 3);
+            if (end === -1) {
+                throw new Error('Unterminated string');
+            }
+            this.pos = end + 3;
+            return;
+        }
+        this.pos += 1;
+        while (this.pos < text.length && text.charAt(this.pos) !== quote) {
+            this.pos += text.charAt(this.pos) === '\\' ? 2 : 1;
+        }
+        if (this.pos >= text.length) {
+            throw new Error('Unterminated string');
+        }
+        this.pos += 1;
+    }
+
+    /**
+     * Scans an object starting at the current position
+     *
+     * @param  {Boolean}    braceless   `true` for a root object without braces
+     * @return {Object}                 The node of the object
+     */
+    scanObject(braceless) {
+        let node = {type: 'object', start: this.pos, braceless: braceless, members: []};
+        if (!braceless) {
+            this.pos += 1;
+        }
+        for (;;) {
+            this.skipWhitespace();
+            if (braceless ? this.pos >= this.text.length : this.text.charAt(this.pos) === '}') {
+                break;
+            }
+            let member = {keyStart: this.pos, key: this.scanKey()};
+            this.skipWhitespace();
+            if (this.text.charAt(this.pos) !== ':') {
+                throw new Error('Expected ":" at offset ' + this.pos);
+            }
+            this.pos += 1;
+            member.value = this.scanValue();
+            this.skipSpaces();
+            if (this.text.charAt(this.pos) === ',') {
+                member.comma = this.pos;
+                this.pos += 1;
+            }
+            node.members.push(member);
+        }
+        node.closeStart = this.pos;
+        if (!braceless) {
+            this.pos += 1;
+        }
+        node.end = this.pos;
+        return node;
+    }
+
+    /**
+     * Scans the key of an object member starting at the current position
+     *
+     * @return {String}     The key
+     */
+    scanKey() {
+        let start = this.pos;
+        let c = this.text.charAt(start);
+        if (c === '"' || c === '\'') {
+            this.skipString();
+            return Hjson.parse('{key: ' + this.text.slice(start, this.pos) + '}').key;
+        }
+        while (this.pos < this.text.length && !/[\s:{}\[\],]/.test(this.text.charAt(this.pos))) {
+            this.pos += 1;
+        }
+        if (this.pos === start) {
+            throw new Error('Missing key at offset ' + start);
+        }
+        return this.text.slice(start, this.pos);
+    }
+
+    /**
+     * Scans an array starting at the current position
+     *
+     * @return {Object}     The node of the array
+     */
+    scanArray() {
+        let node = {type: 'array', start: this.pos, items: []};
+        this.pos += 1;
+        for (;;) {
+            this.skipWhitespace();
+            if (this.text.charAt(this.pos) === ']') {
+                break;
+            }
+            node.items.push(this.scanValue());
+            this.skipSpaces();
+            if (this.text.charAt(this.pos) === ',') {
+                this.pos += 1;
+            }
+        }
+        this.pos += 1;
+        node.end = this.pos;
+        return node;
+    }
+}
+
+/**
+ * @private
+ * Collects the changes needed to turn the contents of a Hjson file into the contents matching the current data. Only
+ * the values that have changed are rewritten - everything else keeps its original text.
+ *
+ * @class Patcher
+ */
+class Patcher {
+
+    /**
+     * @param  {String} text        The file contents
+     * @param  {Object} options     The formatting options detected by detectFormatting()
+     */
+    constructor(text, options) {
+        this.text = text;
+        this.options = options;
+        this.indentUnit = _.isString(options.space) ? options.space : _.repeat(' ', options.space);
+        this.edits = [];
+    }
+
+    /**
+     * Returns the patched file contents
+     *
+     * @param  {Object} root        The root node returned by Scanner#scanRoot()
+     * @param  {*}      oldValue    The data parsed from the file
+     * @param  {*}      newValue    The current data
+     * @return {String}             The patched contents
+     */
+    patch(root, oldValue, newValue) {
+        this.patchNode(root, oldValue, newValue);
+        let result = this.text;
+        _.forEach(_.sortBy(this.edits, 'start').reverse(), edit => {
+            result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+        });
+        return result;
+    }
+
+    /**
+     * Records the changes of a single node
+     *
+     * @param  {Object} node        The node
+     * @param  {*}      oldValue    The value parsed from the node's text
+     * @param  {*}      newValue    The value the node shall contain
+     */
+    patchNode(node, oldValue, newValue) {
+        if (_.isEqual(oldValue, newValue)) {
+            return;
+        }
+        if (node.type === 'object' && _.isPlainObject(oldValue) && _.isPlainObject(newValue)) {
+            this.patchObject(node, oldValue, newValue);
+        } else if (node.type === 'array' && _.isArray(newValue) && newValue.length === oldValue.length) {
+            _.forEach(node.items, (item, idx) => this.patchNode(item, oldValue[idx], newValue[idx]));
+        } else if (node.braceless) {
+            throw new Error('Cannot replace a root object without braces');
+        } else {
+            this.edits.push({start: node.start, end: node.end, text: this.serialize(newValue, node.start, node.end)});
+        }
+    }
+
+    /**
+     * Records the changes of an object: Changed members are patched, removed members are deleted together with the
+     * comments directly above them and new members are appended. Objects whose members share lines are rewritten as
+     * a whole when members are added or removed.
+     *
+     * @param  {Object} node        The node of the object
+     * @param  {Object} oldValue    The object parsed from the node's text
+     * @param  {Object} newValue    The object the node shall contain
+     */
+    patchObject(node, oldValue, newValue) {
+        let removed = _.filter(node.members, member => !newValue.hasOwnProperty(member.key));
+        let added = _.filter(_.keys(newValue), key => !oldValue.hasOwnProperty(key));
+        if ((removed.length > 0 || added.length > 0) && !this.hasOwnLines(node)) {
+            if (node.braceless) {
+                throw new Error('Cannot rewrite a root object without braces');
+            }
+            this.edits.push({start: node.start, end: node.end, text: this.serialize(newValue, node.start, node.end)});
+            return;
+        }
+        _.forEach(node.members, member => {
+            if (_.includes(removed, member)) {
+                this.edits.push(this.getMemberRemoval(node, member));
+            } else {
+                this.patchNode(member.value, oldValue[member.key], newValue[member.key]);
+            }
+        });
+        if (added.length > 0) {
+            this.edits.push(this.getMemberInsertion(node, _.difference(node.members, removed), added, newValue));
+        }
+    }
+
+    /**
+     * Checks if each member of an object - and its closing brace - is placed on its own lines
+     *
+     * @param  {Object}     node    The node of the object
+     * @return {Boolean}            `true` if members can be added and removed line by line
+     */
+    hasOwnLines(node) {
+        let starts = _.map(node.members, 'keyStart');
+        if (!node.braceless) {
+            starts.push(node.closeStart);
+        }
+        return _.every(starts, start => !/\S/.test(this.text.slice(this.lineStart(start), start)));
+    }
+
+    /**
+     * Returns the edit removing a member - including its line and the comment lines directly above it
+     *
+     * @param  {Object} node    The node of the object
+     * @param  {Object} member  The member to remove
+     * @return {Object}         The edit
+     */
+    getMemberRemoval(node, member) {
+        let start = this.lineStart(member.keyStart);
+        let previousEnd = node.braceless ? 0 : node.start + 1;
+        let idx = node.members.indexOf(member);
+        if (idx > 0) {
+            let previous = node.members[idx - 1];
+            previousEnd = previous.comma === undefined ? previous.value.end : previous.comma + 1;
+        }
+        // Remove the comments directly above the member
+        while (start > previousEnd) {
+            let lineStart = this.lineStart(start - 1);
+            if (lineStart < previousEnd || !/^[ \t]*(#|\/\/)/.test(this.text.slice(lineStart, start))) {
+                break;
+            }
+            start = lineStart;
+        }
+        let end = member.comma === undefined ? member.value.end : member.comma + 1;
+        let next = node.members[idx + 1];
+        let nextStart = next ? this.lineStart(next.keyStart) : this.lineStart(node.closeStart);
+        end = Math.min(this.nextLineStart(end), Math.max(nextStart, end));
+        return {start: start, end: end, text: ''};
+    }
+
+    /**
+     * Returns the edit appending new members to an object
+     *
+     * @param  {Object}     node        The node of the object
+     * @param  {Object[]}   kept        The members that are kept
+     * @param  {String[]}   keys        The keys of the new members
+     * @param  {Object}     newValue    The object the node shall contain
+     * @return {Object}                 The edit
+     */
+    getMemberInsertion(node, kept, keys, newValue) {
+        let eol = this.options.eol;
+        let last = _.last(kept);
+        let indent;
+        if (node.members.length > 0) {
+            indent = this.indentOf(node.members[0].keyStart);
+        } else {
+            indent = node.braceless ? '' : this.indentOf(node.start) + this.indentUnit;
+        }
+        let quoteKeys = node.members.length > 0 ? /^["']/.test(this.text.charAt(node.members[0].keyStart)) :
+            this.options.quotes === 'keys';
+        let commas = _.some(kept, member => member.comma !== undefined);
+        let prefix = '';
+        let suffix = '';
+        let position;
+        if (last) {
+            position = this.lineEnd(last.comma === undefined ? last.value.end : last.comma + 1);
+            prefix = eol;
+            if (commas && last.comma === undefined) {
+                // JSON style: Separate the last member from the new ones
+                this.edits.push({start: last.value.end, end: last.value.end, text: ','});
+            }
+        } else if (node.braceless) {
+            position = this.text.length;
+            prefix = /(^|\n)$/.test(this.text) ? '' : eol;
+            suffix = this.text.length > 0 && /\n$/.test(this.text) ? eol : '';
+        } else {
+            position = this.lineStart(node.closeStart);
+            suffix = eol;
+        }
+        let lines = _.map(keys, (key, idx) => {
+            let keyText = this.serializeKey(key, quoteKeys);
+            let comma = commas && (idx < keys.length - 1 || (last && last.comma !== undefined)) ? ',' : '';
+            return indent + keyText + ': ' + this.serializeBlock(newValue[key], indent) + comma;
+        });
+        return {start: position, end: position, text: prefix + lines.join(eol) + suffix};
+    }
+
+    /**
+     * Converts a value into the text replacing the text between the given offsets. Values that are followed by
+     * other content on the same line and values replacing single-line text are written on a single line.
+     *
+     * @param  {*}      value   The value
+     * @param  {Number} start   The start offset of the text to replace
+     * @param  {Number} end     The end offset of the text to replace
+     * @return {String}         The text of the value
+     */
+    serialize(value, start, end) {
+        let followed = /\S/.test(this.text.slice(end, this.lineEnd(end)));
+        let singleLine = (_.isPlainObject(value) || _.isArray(value)) &&
+            this.text.slice(start, end).indexOf('\n') === -1;
+        if (followed || singleLine) {
+            return this.serializeInline(value);
+        }
+        return this.serializeBlock(value, this.indentOf(start));
+    }
+
+    /**
+     * Converts a value into Hjson text on a single line. Strings are quoted, so they may be followed by other content.
+     *
+     * @param  {*}      value   The value
+     * @return {String}         The text of the value
+     */
+    serializeInline(value) {
+        if (_.isArray(value)) {
+            return '[' + _.map(value, item => this.serializeInline(item)).join(', ') + ']';
+        }
+        if (_.isPlainObject(value)) {
+            return '{' + _.map(value, (item, key) => {
+                return this.serializeKey(key, false) + ': ' + this.serializeInline(item);
+            }).join(', ') + '}';
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Converts an object key into Hjson text
+     *
+     * @param  {String}     key     The key
+     * @param  {Boolean}    quote   `true` to quote the key even if it does not need quotes
+     * @return {String}             The text of the key
+     */
+    serializeKey(key, quote) {
+        return quote || !/^[^\s:{}\[\],"'#\/]+$/.test(key) ? JSON.stringify(key) : key;
+    }
+
+    /**
+     * Converts a value into Hjson text that ends its line
+     *
+     * @param  {*}      value   The value
+     * @param  {String} indent  The indentation of the line the value starts in
+     * @return {String}         The text of the value
+     */
+    serializeBlock(value, indent) {
+        if (_.isString(value) && value.indexOf('\n') !== -1) {
+            return JSON.stringify(value);
+        }
+        return Hjson.stringify(value, _.assign({multiline: 'off'}, this.options)).split(/\r?\n/)
+            .join(this.options.eol + indent);
+    }
+
+    /**
+     * Returns the offset of the start of the line containing the given offset
+     *
+     * @param  {Number} offset  The offset
+     * @return {Number}         The offset of the first character of the line
+     */
+    lineStart(offset) {
+        return this.text.lastIndexOf('\n', offset - 1) + 1;
+    }
+
+    /**
+     * Returns the offset of the end of the line containing the given offset
+     *
+     * @param  {Number} offset  The offset
+     * @return {Number}         The offset of the line break or the end of the text
+     */
+    lineEnd(offset) {
+        let end = this.text.indexOf('\n', offset);
+        if (end === -1) {
+            return this.text.length;
+        }
+        return this.text.charAt(end - 1) === '\r' ? end - 1 : end;
+    }
+
+    /**
+     * Returns the offset of the start of the line following the line containing the given offset
+     *
+     * @param  {Number} offset  The offset
+     * @return {Number}         The offset after the line break - `\n` or `\r\n` - or the end of the text
+     */
+    nextLineStart(offset) {
+        let end = this.text.indexOf('\n', offset);
+        return end === -1 ? this.text.length : end + 1;
+    }
+
+    /**
+     * Returns the indentation of the line containing the given offset
+     *
+     * @param  {Number} offset  The offset
+     * @return {String}         The whitespace at the start of the line
+     */
+    indentOf(offset) {
+        return /^[ \t]*/.exec(this.text.slice(this.lineStart(offset)))[0];
+    }
+}
+
+/**
+ * Writes the values of `data` into `target`, a value parsed from a Hjson file including its comments. Used if the
+ * file cannot be patched in place. Values that
+ * did not change are kept as they are, so their comments survive. Keys that no longer exist are removed together
+ * with their comments.
+ *
+ * @param  {*} target   The value parsed from the file
+ * @param  {*} data     The current configuration data
+ * @return {*}          The updated value
+ */
+function applyData(target, data) {
+    if (!_.isPlainObject(target) || !_.isPlainObject(data)) {
+        return _.isEqual(target, data) ? target : data;
+    }
+    let comments = target.__COMMENTS__;
+    _.forEach(_.keys(target), key => {
+        if (!data.hasOwnProperty(key)) {
+            delete target[key];
+            if (comments) {
+                delete comments.c[key];
+                _.pull(comments.o, key);
+            }
+        }
+    });
+    _.forEach(data, (value, key) => {
+        target[key] = target.hasOwnProperty(key) ? applyData(target[key], value) : value;
+    });
+    return target;
+}
+
+/**
+ * File format for Hjson (*.hjson) files
+ */
+module.exports = {
+    /**
+     * Parses the contents of a Hjson file
+     *
+     * @param  {String} text    The file contents
+     * @return {*}              The parsed data
+     */
+    parse: function(text) {
+        return Hjson.parse(text);
+    },
+
+    /**
+     * Converts configuration data into the contents of a Hjson file
+     *
+     * @param  {Object} data    The configuration data
+     * @return {String}         The file contents
+     */
+    stringify: function(data) {
+        return Hjson.stringify(data);
+    },
+
+    /**
+     * Converts configuration data into the contents of a Hjson file based on the file's previous contents. Only the
+     * values that have changed are rewritten - all other text including comments, blank lines and the style of strings
+     * and arrays is kept. Removed keys disappear together with the comment lines directly above them, new keys are
+     * appended to their object. Objects and arrays that are written on a single line are rewritten as a whole when
+     * keys or items are added or removed.
+     *
+     * If the file cannot be patched in place, it is rewritten completely - keeping its comments and key order, but
+     * not its whitespace.
+     *
+     * @param  {String} text    The previous file contents
+     * @param  {Object} data    The configuration data
+     * @return {String}         The file contents
+     */
+    update: function(text, data) {
+        let options = detectFormatting(text);
+        try {
+            let patched = new Patcher(text, options).patch(new Scanner(text).scanRoot(), Hjson.parse(text), data);
+            if (_.isEqual(Hjson.parse(patched), data)) {
+                return patched;
+            }
+        } catch (e) {
+            // Fall back to rewriting the whole file
+        }
+        let result = Hjson.rt.stringify(applyData(Hjson.rt.parse(text), data), options);
+        if (/\n$/.test(text) && !/\n$/.test(result)) {
+            result += options.eol;
+        }
+        return result;
+    }
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * The file formats every configuration instance supports out of the box - stored by their file extension
+ */
+module.exports = {
+    '.hjson': require('./hjson.js'),
+    '.json': require('./json.js'),
+    '.yaml': require('./yaml.js'),
+    '.yml': require('./yaml.js'),
+    '.toml': require('./toml.js'),
+    '.ini': require('./ini.js')
+};
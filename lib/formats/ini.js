@@ -0,0 +1,208 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * @private
+ * Names that must not be used as section or key names since they would alter the prototypes of the parsed objects
+ */
+const UNSAFE_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Returns the offset of the quote closing a quoted INI value. Double-quoted values may contain escaped quotes.
+ *
+ * @param  {String} raw     The raw value starting with the opening quote
+ * @return {Number}         The offset of the closing quote or `-1` if the value is not closed
+ */
+function findClosingQuote(raw) {
+    let quote = raw.charAt(0);
+    for (let idx = 1; idx < raw.length; idx += 1) {
+        if (quote === '"' && raw.charAt(idx) === '\\') {
+            idx += 1;
+        } else if (raw.charAt(idx) === quote) {
+            return idx;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Converts a raw INI value into a configuration value. Quoted values are always strings - inside double quotes, only
+ * `\"` and `\\` are escapes, all other backslashes are kept as they are. Unquoted values are converted into
+ * booleans, `null` or numbers if they look like one. Inline comments following a value are removed.
+ *
+ * @param  {String} raw     The raw value as found in the file
+ * @return {*}              The converted value
+ */
+function parseValue(raw) {
+    raw = raw.trim();
+    let quote = raw.charAt(0);
+    if (quote === '"' || quote === '\'') {
+        let end = findClosingQuote(raw);
+        if (end !== -1 && /^(\s*|\s+[;#].*)$/.test(raw.slice(end + 1))) {
+            let value = raw.slice(1, end);
+            return quote === '"' ? value.replace(/\\(["\\])/g, '$1') : value;
+        }
+    }
+    // Strip inline comments
+    raw = raw.replace(/\s+[;#].*$/, '');
+    if (raw === 'true' || raw === 'false') {
+        return raw === 'true';
+    }
+    if (raw === 'null') {
+        return null;
+    }
+    if (raw !== '' && String(Number(raw)) === raw) {
+        return Number(raw);
+    }
+    return raw;
+}
+
+/**
+ * Converts a configuration value into its INI representation. Strings that would not survive a round trip
+ * unchanged are double-quoted. Line breaks cannot be stored in INI values.
+ *
+ * @param  {*}      value   The value to convert
+ * @return {String}         The INI representation of the value
+ */
+function stringifyValue(value) {
+    if (_.isObject(value)) {
+        throw new Error('Cannot store nested objects or arrays inside of arrays in INI files');
+    }
+    if (!_.isString(value)) {
+        return String(value);
+    }
+    if (/[\r\n]/.test(value)) {
+        throw new Error('Cannot store line breaks in INI values');
+    }
+    if (parseValue(value) !== value || /^\s|\s$|^["']/.test(value)) {
+        return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+    }
+    return value;
+}
+
+/**
+ * Creates an INI file format.
+ *
+ * Sections are mapped to nested configuration paths - the keys of section `[db]` end up below the path `db`. Keys
+ * before the first section are stored at the root level. Keys ending with `[]` (e.g. `plugins[] = auth`) collect
+ * their values into an array.
+ *
+ * @param  {Object}     [options]                       Options controlling the format
+ * @param  {Boolean}    [options.dottedSections=true]   Treat dots inside section names as path separators? If
+ *                                                      enabled, section `[db.pool]` is mapped to the path `db.pool`,
+ *                                                      otherwise to a single key named `db.pool`.
+ * @return {Object}                                     The format containing the `parse` and `stringify` functions
+ */
+function createFormat(options) {
+    options = options || {};
+    let dottedSections = options.hasOwnProperty('dottedSections') ? Boolean(options.dottedSections) : true;
+
+    /**
+     * Returns the path of a section
+     *
+     * @param  {String}     name    The name of the section
+     * @return {String[]}           The path of the section
+     */
+    let getSectionPath = name => {
+        return dottedSections ? _.map(name.split('.'), part => part.trim()) : [name.trim()];
+    };
+
+    /**
+     * Writes the keys of a section and its sub-sections
+     *
+     * @param  {Object}     data        The data of the section
+     * @param  {String[]}   pathArray   The path of the section
+     * @param  {String[]}   lines       The lines to append the output to
+     */
+    let writeSection = (data, pathArray, lines) => {
+        let sections = [];
+        if (pathArray.length > 0) {
+            lines.push('[' + pathArray.join('.') + ']');
+        }
+        _.forEach(data, (value, key) => {
+            if (_.isPlainObject(value)) {
+                sections.push(key);
+            } else if (_.isArray(value)) {
+                _.forEach(value, item => {
+                    lines.push(key + '[] = ' + stringifyValue(item));
+                });
+            } else {
+                lines.push(key + ' = ' + stringifyValue(value));
+            }
+        });
+        _.forEach(sections, key => {
+            if (pathArray.length > 0 && !dottedSections) {
+                throw new Error('Cannot store nested sections in INI files without dotted section names');
+            }
+            lines.push('');
+            writeSection(data[key], pathArray.concat(key), lines);
+        });
+    };
+
+    return {
+        /**
+         * Parses the contents of an INI file
+         *
+         * @param  {String} text    The file contents
+         * @return {Object}         The parsed data
+         */
+        parse: function(text) {
+            let data = {};
+            let section = data;
+            _.forEach(text.split(/\r?\n/), (line, idx) => {
+                line = line.trim();
+                if (!line || line.charAt(0) === ';' || line.charAt(0) === '#') {
+                    return;
+                }
+                let sectionMatch = line.match(/^\[(.+)\]$/);
+                if (sectionMatch) {
+                    let pathArray = getSectionPath(sectionMatch[1]);
+                    if (_.intersection(pathArray, UNSAFE_NAMES).length > 0) {
+                        throw new Error('Illegal INI section name in line ' + (idx + 1));
+                    }
+                    if (!_.isPlainObject(_.get(data, pathArray))) {
+                        _.setWith(data, pathArray, {}, value => (_.isPlainObject(value) ? value : {}));
+                    }
+                    section = _.get(data, pathArray);
+                    return;
+                }
+                let separatorIdx = line.indexOf('=');
+                if (separatorIdx < 1) {
+                    throw new Error('Illegal INI data in line ' + (idx + 1));
+                }
+                let key = line.slice(0, separatorIdx).trim();
+                let value = parseValue(line.slice(separatorIdx + 1));
+                let isArray = /\[\]$/.test(key);
+                if (isArray) {
+                    key = key.slice(0, -2);
+                }
+                if (UNSAFE_NAMES.indexOf(key) !== -1) {
+                    throw new Error('Illegal INI key name in line ' + (idx + 1));
+                }
+                if (isArray) {
+                    section[key] = _.isArray(section[key]) ? section[key] : [];
+                    section[key].push(value);
+                } else {
+                    section[key] = value;
+                }
+            });
+            return data;
+        },
+
+        /**
+         * Converts configuration data into the contents of an INI file. Objects are written as sections.
+         *
+         * @param  {Object} data    The configuration data
+         * @return {String}         The file contents
+         */
+        stringify: function(data) {
+            let lines = [];
+            writeSection(data, [], lines);
+            return _.dropWhile(lines, line => line === '').join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = createFormat();
+module.exports.createFormat = createFormat;
@@ -0,0 +1,29 @@
+'use strict';
+
+let Hjson = require('hjson');
+
+/**
+ * File format for JSON (*.json) files
+ */
+module.exports = {
+    /**
+     * Parses the contents of a JSON file. Since Hjson is a superset of JSON, the Hjson parser is used to be a little
+     * more relaxed about comments and trailing commas.
+     *
+     * @param  {String} text    The file contents
+     * @return {*}              The parsed data
+     */
+    parse: function(text) {
+        return Hjson.parse(text);
+    },
+
+    /**
+     * Converts configuration data into the contents of a JSON file
+     *
+     * @param  {Object} data    The configuration data
+     * @return {String}         The file contents
+     */
+    stringify: function(data) {
+        return JSON.stringify(data, null, 4);
+    }
+};
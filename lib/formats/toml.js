@@ -0,0 +1,29 @@
+'use strict';
+
+let toml = require('@iarna/toml');
+
+/**
+ * File format for TOML (*.toml) files
+ */
+module.exports = {
+    /**
+     * Parses the contents of a TOML file
+     *
+     * @param  {String} text    The file contents
+     * @return {*}              The parsed data
+     */
+    parse: function(text) {
+        return toml.parse(text);
+    },
+
+    /**
+     * Converts configuration data into the contents of a TOML file. Since TOML does not know `null` values,
+     * configuration data containing them cannot be converted.
+     *
+     * @param  {Object} data    The configuration data
+     * @return {String}         The file contents
+     */
+    stringify: function(data) {
+        return toml.stringify(data);
+    }
+};
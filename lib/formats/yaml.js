@@ -0,0 +1,28 @@
+'use strict';
+
+let yaml = require('js-yaml');
+
+/**
+ * File format for YAML (*.yaml, *.yml) files
+ */
+module.exports = {
+    /**
+     * Parses the contents of a YAML file
+     *
+     * @param  {String} text    The file contents
+     * @return {*}              The parsed data
+     */
+    parse: function(text) {
+        return yaml.load(text);
+    },
+
+    /**
+     * Converts configuration data into the contents of a YAML file
+     *
+     * @param  {Object} data    The configuration data
+     * @return {String}         The file contents
+     */
+    stringify: function(data) {
+        return yaml.dump(data);
+    }
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * @private
+ * Matches references (`${path}`) and escaped references (`$${path}`) inside strings
+ */
+const REFERENCE_REGEX = /(\$?)\$\{([^{}]*)\}/g;
+
+/**
+ * @private
+ * Matches strings consisting of a single reference only
+ */
+const SINGLE_REFERENCE_REGEX = /^\$\{([^{}]*)\}$/;
+
+/**
+ * @private
+ * Matches placeholders handled by a resolver (`${prefix:argument}`)
+ */
+const PLACEHOLDER_REGEX = /^([A-Za-z][A-Za-z0-9_\-]*):([\s\S]*)$/;
+
+/**
+ * Converts a referenced value into the string to embed it with
+ *
+ * @param  {*}      value   The referenced value
+ * @return {String}         The string representation of the value
+ */
+function stringifyValue(value) {
+    return _.isObject(value) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Resolves the references inside a configuration node.
+ *
+ * Strings may reference other configuration values using `${path}`. A string consisting of a single reference
+ * resolves to the referenced value itself - keeping its type. References embedded into other text are converted
+ * into strings. Use `$${` to write a literal `${`.
+ *
+ * References starting with the prefix of a resolver (`${prefix:argument}`) are passed to the resolver instead of
+ * being looked up inside the configuration. The values returned by resolvers are not resolved any further.
+ *
+ * Objects and arrays are resolved recursively. Nodes that do not contain any references are returned as they are,
+ * nodes containing references are copied.
+ *
+ * @param  {*}          node                    The node to resolve
+ * @param  {String}     nodePath                The normalized configuration path of the node
+ * @param  {Object}     options                 Options controlling the resolution
+ * @param  {Function}   options.lookup          Function returning the raw value at a normalized configuration path
+ *                                              or `undefined` if the path does not exist
+ * @param  {Function}   options.normalizePath   Function normalizing a configuration path
+ * @param  {Object}     [options.resolvers={}]  The functions resolving placeholders - stored by their prefix
+ * @param  {String[]}   [stack=[nodePath]]      The paths currently being resolved - used to detect circular
+ *                                              references
+ * @return {*}                                  The resolved node
+ * @throws {Error}                              If a reference cannot be resolved or references are circular
+ */
+function resolveNode(node, nodePath, options, stack) {
+    stack = stack || [nodePath];
+    if (_.isString(node)) {
+        return resolveString(node, nodePath, options, stack);
+    }
+    if (!_.isArray(node) && !_.isPlainObject(node)) {
+        return node;
+    }
+    let result = node;
+    _.forEach(node, (value, key) => {
+        let resolved = resolveNode(value, nodePath, options, stack);
+        if (resolved !== value) {
+            if (result === node) {
+                result = _.clone(node);
+            }
+            result[key] = resolved;
+        }
+    });
+    return result;
+}
+
+/**
+ * Resolves a placeholder using a resolver
+ *
+ * @param  {Function}   resolver        The resolver registered for the placeholder's prefix
+ * @param  {String}     placeholder     The placeholder without the surrounding `${` and `}`
+ * @param  {String}     argument        The text following the prefix
+ * @param  {String}     nodePath        The path of the value containing the placeholder
+ * @return {*}                          The resolved value
+ */
+function resolvePlaceholder(resolver, placeholder, argument, nodePath) {
+    let value;
+    try {
+        value = resolver(argument);
+    } catch (e) {
+        throw new Error('Cannot resolve placeholder ${' + placeholder + '} at path ' + nodePath + ': ' + e.message);
+    }
+    if (value === undefined) {
+        throw new Error('Cannot resolve placeholder ${' + placeholder + '} at path ' + nodePath +
+            ': no value available');
+    }
+    return value;
+}
+
+/**
+ * Resolves the references inside a string
+ *
+ * @param  {String}     value       The string to resolve
+ * @param  {String}     nodePath    The path of the value
+ * @param  {Object}     options     Options controlling the resolution - see #resolveNode()
+ * @param  {String[]}   stack       The paths currently being resolved
+ * @return {*}                      The resolved value
+ */
+function resolveString(value, nodePath, options, stack) {
+    if (value.indexOf('${') === -1) {
+        return value;
+    }
+    let resolveReference = referencedPath => {
+        let placeholderMatch = referencedPath.trim().match(PLACEHOLDER_REGEX);
+        if (placeholderMatch && options.resolvers && options.resolvers.hasOwnProperty(placeholderMatch[1])) {
+            return resolvePlaceholder(options.resolvers[placeholderMatch[1]], referencedPath, placeholderMatch[2],
+                nodePath);
+        }
+        let normalizedPath = options.normalizePath(referencedPath);
+        if (!normalizedPath) {
+            throw new Error('Illegal reference ${' + referencedPath + '} at path ' + nodePath);
+        }
+        if (stack.indexOf(normalizedPath) !== -1) {
+            throw new Error('Circular reference: ' + stack.concat(normalizedPath).join(' -> '));
+        }
+        let referencedValue = options.lookup(normalizedPath);
+        if (referencedValue === undefined) {
+            throw new Error('Cannot resolve reference ${' + referencedPath + '} at path ' + nodePath +
+                ': the path does not exist');
+        }
+        return resolveNode(referencedValue, normalizedPath, options, stack.concat(normalizedPath));
+    };
+    let singleMatch = value.match(SINGLE_REFERENCE_REGEX);
+    if (singleMatch) {
+        return resolveReference(singleMatch[1]);
+    }
+    return value.replace(REFERENCE_REGEX, (match, escape, referencedPath) => {
+        return escape ? match.slice(1) : stringifyValue(resolveReference(referencedPath));
+    });
+}
+
+/**
+ * Checks if a value is a string containing references or placeholders - escaped references do not count
+ *
+ * @param  {*}          value   The value to check
+ * @return {Boolean}            `true` if the value contains references
+ */
+function hasReferences(value) {
+    return _.isString(value) && _.some(value.match(REFERENCE_REGEX), match => match.charAt(1) !== '$');
+}
+
+module.exports = {
+    hasReferences: hasReferences,
+    resolveNode: resolveNode
+};
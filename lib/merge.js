@@ -0,0 +1,145 @@
+'use strict';
+
+let _ = require('lodash');
+let tombstone = require('./tombstone.js');
+
+/**
+ * The strategies available for merging arrays
+ *
+ * - `replace`:    The array of the layer with the highest priority replaces the arrays of all layers below it
+ * - `concat`:     The arrays of all layers are concatenated - the items of lower layers come first
+ * - `union`:      Like `concat`, but items that are deeply equal to an item already inside the result are skipped
+ * - `mergeByKey`: Object items having the same value in the property named by the strategy's `key` are deep-merged,
+ *                 all other items are appended
+ */
+const ARRAY_STRATEGIES = ['replace', 'concat', 'union', 'mergeByKey'];
+
+/**
+ * Normalizes an array merge strategy into an object of the form `{strategy: String, key: String}` and checks it for
+ * validity
+ *
+ * @param  {String/Object}  strategy    Either the name of the strategy or an object containing the name in its
+ *                                      `strategy` property and - for `mergeByKey` - the name of the key property in
+ *                                      its `key` property
+ * @return {Object}                     The normalized strategy
+ */
+function normalizeArrayStrategy(strategy) {
+    if (_.isString(strategy)) {
+        strategy = {strategy: strategy};
+    }
+    if (!_.isPlainObject(strategy) || !_.isString(strategy.strategy)) {
+        throw new TypeError('strategy needs to be a string or an object containing a strategy name');
+    }
+    if (ARRAY_STRATEGIES.indexOf(strategy.strategy) === -1) {
+        throw new Error('Unknown array merge strategy "' + strategy.strategy + '"');
+    }
+    if (strategy.strategy === 'mergeByKey' && (!_.isString(strategy.key) || !strategy.key)) {
+        throw new TypeError('The mergeByKey strategy needs a key');
+    }
+    return {strategy: strategy.strategy, key: strategy.key};
+}
+
+/**
+ * Merges arrays read from multiple layers using the given strategy
+ *
+ * @param  {Array[]}    arrays      The arrays to merge, ordered from the highest to the lowest priority
+ * @param  {Object}     strategy    The normalized strategy to use
+ * @param  {Object}     options     The options passed to #mergeNodes()
+ * @return {Array}                  The merged array
+ */
+function mergeArrays(arrays, strategy, options) {
+    // Lower layers come first
+    arrays = arrays.concat().reverse();
+    let result = [];
+    switch (strategy.strategy) {
+    case 'concat':
+        result = _.concat.apply(_, [[]].concat(arrays));
+        break;
+    case 'union':
+        result = _.unionWith.apply(_, arrays.concat([_.isEqual]));
+        break;
+    case 'mergeByKey':
+        _.forEach(arrays, array => {
+            _.forEach(array, item => {
+                let idx = -1;
+                if (_.isPlainObject(item) && item.hasOwnProperty(strategy.key)) {
+                    idx = _.findIndex(result, existing => {
+                        return _.isPlainObject(existing) && existing.hasOwnProperty(strategy.key) &&
+                            _.isEqual(existing[strategy.key], item[strategy.key]);
+                    });
+                }
+                if (idx === -1) {
+                    result.push(item);
+                } else {
+                    // The item's keys extend the array's path
+                    result[idx] = mergeNodes([item, result[idx]], options);
+                }
+            });
+        });
+        break;
+    default:
+        result = arrays[arrays.length - 1];
+    }
+    return _.cloneDeep(result);
+}
+
+/**
+ * Deep-merges a list of configuration nodes that have been read from multiple layers at the same configuration path.
+ *
+ * The nodes have to be ordered by the priority of the layers they have been read from - the node of the layer with
+ * the highest priority comes first. Plain objects are merged recursively, values of higher layers win on conflicts.
+ * Arrays are merged using the strategy returned by `options.getArrayStrategy` for their path. Any other value is
+ * treated as a leaf that shadows all nodes of the layers below it. Tombstones (`{$unset: true}`) shadow the nodes
+ * below them, too, but are removed from the result.
+ *
+ * @param  {Array}      nodes               The nodes to merge, ordered from the highest to the lowest priority
+ * @param  {Object}     [options]           Options controlling the merge
+ * @param  {Boolean}    [options.ignoreNulls=false] Set to `true` to treat null values as non-existing nodes
+ * @param  {String[]}   [options.pathArray=[]]      The configuration path the nodes have been read from
+ * @param  {Function}   [options.getArrayStrategy]  Function returning the normalized array merge strategy for a
+ *                                                  path array. If omitted, arrays are replaced.
+ * @return {*}                              The merged node or `undefined` if none of the nodes exists
+ */
+function mergeNodes(nodes, options) {
+    options = options || {};
+    let ignoreNulls = Boolean(options.ignoreNulls);
+    let pathArray = options.pathArray || [];
+    nodes = _.filter(nodes, node => {
+        return node !== undefined && (!ignoreNulls || node !== null);
+    });
+    if (nodes.length === 0 || tombstone.isTombstone(nodes[0])) {
+        // Tombstones delete the values of all layers below them
+        return undefined;
+    }
+    if (_.isArray(nodes[0])) {
+        let strategy = options.getArrayStrategy ? options.getArrayStrategy(pathArray) : {strategy: 'replace'};
+        return mergeArrays(_.takeWhile(nodes, _.isArray), strategy, options);
+    }
+    if (!_.isPlainObject(nodes[0])) {
+        // The top-most node is a leaf - it shadows everything below it
+        return _.cloneDeep(nodes[0]);
+    }
+    // Only the objects above the first leaf take part in the merge
+    let objects = _.takeWhile(nodes, node => _.isPlainObject(node) && !tombstone.isTombstone(node));
+    let keys = [];
+    _.forEachRight(objects, object => {
+        keys = _.union(keys, _.keys(object));
+    });
+    let result = {};
+    _.forEach(keys, key => {
+        let value = mergeNodes(
+            _.map(objects, object => (object.hasOwnProperty(key) ? object[key] : undefined)),
+            _.assign({}, options, {pathArray: pathArray.concat(key)})
+        );
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    ARRAY_STRATEGIES: ARRAY_STRATEGIES,
+    normalizeArrayStrategy: normalizeArrayStrategy,
+    mergeNodes: mergeNodes
+};
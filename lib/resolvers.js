@@ -0,0 +1,35 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+
+/**
+ * The placeholder resolvers every configuration instance supports out of the box - stored by their prefix. Each
+ * resolver is called with the text following the prefix and returns the value to use - or `undefined` if the value
+ * does not exist.
+ */
+module.exports = {
+    /**
+     * Resolves `${env:NAME}` to the value of the environment variable `NAME`
+     *
+     * @param  {String} name    The name of the environment variable
+     * @return {String}         The value of the environment variable
+     */
+    env: function(name) {
+        name = name.trim();
+        return process.env.hasOwnProperty(name) ? process.env[name] : undefined;
+    },
+
+    /**
+     * Resolves `${file:path}` to the contents of the file at `path` - without a trailing line break, so files
+     * containing secrets (like Docker secrets) can be used as they are. Relative paths are resolved against the
+     * current working directory of the process at the time the value is read, not against the directory of a
+     * configuration file.
+     *
+     * @param  {String} filePath    The path of the file
+     * @return {String}             The contents of the file
+     */
+    file: function(filePath) {
+        return fs.readFileSync(path.resolve(filePath.trim()), 'utf8').replace(/\r?\n$/, '');
+    }
+};
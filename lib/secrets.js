@@ -0,0 +1,140 @@
+'use strict';
+
+let _ = require('lodash');
+let crypto = require('crypto');
+let Secret = require('./Secret.js');
+
+/**
+ * @private
+ * The cipher used to encrypt secret values
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * The prefix of encrypted values
+ */
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * The text secret values are replaced with when they are redacted
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Wraps a value to mark it as secret. When the wrapped value is written into the configuration, the value itself is
+ * stored and its path is marked as secret.
+ *
+ * @param  {*}      value   The secret value
+ * @return {Secret}         The wrapped value
+ */
+function secret(value) {
+    return new Secret(value);
+}
+
+/**
+ * Converts an encryption key into the 32 bytes used by the cipher. Buffers are used as they are, strings are hashed
+ * using SHA-256.
+ *
+ * @param  {String/Buffer}  key     The key
+ * @return {Buffer}                 The key to use for the cipher
+ */
+function normalizeKey(key) {
+    if (_.isString(key) && key) {
+        return crypto.createHash('sha256').update(key, 'utf8').digest();
+    }
+    if (Buffer.isBuffer(key) && key.length === 32) {
+        return key;
+    }
+    throw new TypeError('key needs to be a non-empty string or a Buffer of 32 bytes');
+}
+
+/**
+ * Checks if a value has been encrypted using #encrypt()
+ *
+ * @param  {*}          value   The value to check
+ * @return {Boolean}            `true` if the value is encrypted
+ */
+function isEncrypted(value) {
+    return _.isString(value) && value.indexOf(ENCRYPTED_PREFIX) === 0;
+}
+
+/**
+ * Encrypts a configuration value. The result is a string containing the prefix, the random initialization vector,
+ * the authentication tag and the encrypted JSON representation of the value - all base64-encoded.
+ *
+ * @param  {*}      value   The value to encrypt
+ * @param  {Buffer} key     The normalized key
+ * @return {String}         The encrypted value
+ */
+function encrypt(value, key) {
+    let iv = crypto.randomBytes(12);
+    let cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    let encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypts a value encrypted using #encrypt()
+ *
+ * @param  {String} text    The encrypted value
+ * @param  {Buffer} key     The normalized key
+ * @return {*}              The decrypted value
+ * @throws {Error}          If the value is malformed or the key is wrong
+ */
+function decrypt(text, key) {
+    let parts = text.slice(ENCRYPTED_PREFIX.length).split(':');
+    if (parts.length !== 3) {
+        throw new Error('malformed encrypted value');
+    }
+    let buffers = parts.map(part => Buffer.from(part, 'base64'));
+    let decipher = crypto.createDecipheriv(ALGORITHM, key, buffers[0]);
+    decipher.setAuthTag(buffers[1]);
+    let decrypted;
+    try {
+        decrypted = Buffer.concat([decipher.update(buffers[2]), decipher.final()]).toString('utf8');
+    } catch (e) {
+        throw new Error('wrong key or corrupted data');
+    }
+    return JSON.parse(decrypted);
+}
+
+/**
+ * Checks if a configuration path matches a secret pattern. String patterns are split into parts like paths are:
+ * `*` inside a part matches any characters, a part consisting of `**` matches any number of parts - so
+ * `*.password` matches `db.password` and `**.token` matches `token` as well as `api.auth.token`. Regular expressions
+ * are tested against the path joined using the separator.
+ *
+ * @param  {RegExp/String[]}    pattern     The pattern - string patterns already split into their parts
+ * @param  {String[]}           pathArray   The path to check
+ * @param  {String}             separator   The path separator
+ * @return {Boolean}                        `true` if the path matches the pattern
+ */
+function matchesPattern(pattern, pathArray, separator) {
+    if (_.isRegExp(pattern)) {
+        return pattern.test(pathArray.join(separator));
+    }
+    if (pattern.length === 0) {
+        return pathArray.length === 0;
+    }
+    if (pattern[0] === '**') {
+        return _.some(_.range(pathArray.length + 1), idx => {
+            return matchesPattern(pattern.slice(1), pathArray.slice(idx), separator);
+        });
+    }
+    if (pathArray.length === 0) {
+        return false;
+    }
+    let regex = new RegExp('^' + _.map(pattern[0].split('*'), _.escapeRegExp).join('.*') + '$');
+    return regex.test(pathArray[0]) && matchesPattern(pattern.slice(1), pathArray.slice(1), separator);
+}
+
+module.exports = {
+    ENCRYPTED_PREFIX: ENCRYPTED_PREFIX,
+    REDACTED: REDACTED,
+    secret: secret,
+    normalizeKey: normalizeKey,
+    isEncrypted: isEncrypted,
+    encrypt: encrypt,
+    decrypt: decrypt,
+    matchesPattern: matchesPattern
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * The marker that deletes a value: Storing it at a path makes the path absent - no matter what layers with a lower
+ * priority contain. Since it is a plain object, it can be written into configuration files, too - e.g.
+ * `db: {$unset: true}` in Hjson files.
+ */
+const UNSET = Object.freeze({$unset: true});
+
+/**
+ * Checks if a configuration node is a tombstone - an object containing nothing but `$unset: true`
+ *
+ * @param  {*}          node    The node to check
+ * @return {Boolean}            `true` if the node is a tombstone
+ */
+function isTombstone(node) {
+    return _.isPlainObject(node) && node.$unset === true && _.keys(node).length === 1;
+}
+
+/**
+ * Removes all tombstones from a configuration node. Nodes that do not contain any tombstones are returned as they
+ * are, nodes containing tombstones are copied.
+ *
+ * @param  {*}  node    The node to remove the tombstones from
+ * @return {*}          The node without tombstones - `undefined` if the node itself is a tombstone
+ */
+function strip(node) {
+    if (isTombstone(node)) {
+        return undefined;
+    }
+    if (!_.isPlainObject(node)) {
+        return node;
+    }
+    let result = node;
+    _.forEach(node, (value, key) => {
+        let stripped = strip(value);
+        if (stripped !== value) {
+            if (result === node) {
+                result = _.clone(node);
+            }
+            if (stripped === undefined) {
+                delete result[key];
+            } else {
+                result[key] = stripped;
+            }
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    UNSET: UNSET,
+    isTombstone: isTombstone,
+    strip: strip
+};
@@ -167,6 +167,35 @@ describe('Layer handling', function() {
         });
     });
 
+    describe('moveLayer()', function() {
+        it('move a layer to another position', function() {
+            config.moveLayer('nine', 0);
+            doCheck(
+                ['nine', 'seven', 'xxx___layer', 'two', 'six', 'three', 'four', 'eight', 'one', 'five'],
+                [
+                    layerNineData,
+                    layerSevenData,
+                    {},
+                    ovewriteLayerData,
+                    layerSixData,
+                    layerThreeData,
+                    layerFourData,
+                    layerEightData,
+                    layerOneData,
+                    layerFiveData
+                ]
+            );
+            config.moveLayer('nine', 100);
+        });
+        it('throw an error if the layer does not exist', function() {
+            expect(() => config.moveLayer('notThere', 0)).to.throw(Error);
+        });
+        it('throw an error if any of the parameters is of a wrong type', function() {
+            expect(() => config.moveLayer(1, 0)).to.throw(TypeError);
+            expect(() => config.moveLayer('nine', true)).to.throw(TypeError);
+        });
+    });
+
     describe('removeLayer()', function() {
         it('remove a single layer', function() {
             config.removeLayer('three');
@@ -0,0 +1,68 @@
+// Tests the diff() functionality
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Comparing configuration states', function() {
+    var config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {db: {host: 'localhost', port: 5432}, list: [1, 2], debug: false});
+        config.addLayer('user', {db: {host: 'db.example.com', user: 'admin'}, list: [1, 2, 3], debug: null});
+    });
+
+    it('compare layers', function() {
+        expect(config.diff('defaults', 'user')).to.deep.equal([
+            {type: 'changed', path: 'db.host', oldValue: 'localhost', newValue: 'db.example.com'},
+            {type: 'removed', path: 'db.port', oldValue: 5432, newValue: undefined},
+            {type: 'added', path: 'db.user', oldValue: undefined, newValue: 'admin'},
+            {type: 'changed', path: 'list', oldValue: [1, 2], newValue: [1, 2, 3]},
+            {type: 'changed', path: 'debug', oldValue: false, newValue: null}
+        ]);
+        expect(config.diff('user', 'user')).to.deep.equal([]);
+    });
+
+    it('compare the effective configuration with snapshots and objects', function() {
+        var snapshot = config.snapshot();
+        config.set('db.port', 6432);
+        expect(config.diff(snapshot, null)).to.deep.equal([
+            {type: 'changed', path: 'db.port', oldValue: 5432, newValue: 6432}
+        ]);
+        expect(config.diff(null, {db: {host: 'db.example.com'}})).to.deep.equal([
+            {type: 'removed', path: 'db.port', oldValue: 6432, newValue: undefined},
+            {type: 'removed', path: 'db.user', oldValue: 'admin', newValue: undefined},
+            {type: 'removed', path: 'list', oldValue: [1, 2, 3], newValue: undefined},
+            {type: 'removed', path: 'debug', oldValue: null, newValue: undefined}
+        ]);
+    });
+
+    it('report values deleted by tombstones as removed', function() {
+        config.set('db.host', {$unset: true}, 'user');
+        config.set('list', {$unset: true}, 'user');
+        expect(config.diff('defaults', 'user')).to.deep.equal([
+            {type: 'removed', path: 'db.host', oldValue: 'localhost', newValue: undefined},
+            {type: 'removed', path: 'db.port', oldValue: 5432, newValue: undefined},
+            {type: 'added', path: 'db.user', oldValue: undefined, newValue: 'admin'},
+            {type: 'removed', path: 'list', oldValue: [1, 2], newValue: undefined},
+            {type: 'changed', path: 'debug', oldValue: false, newValue: null}
+        ]);
+        expect(config.diff({a: 1, b: 2}, {a: {$unset: true}, b: 2})).to.deep.equal([
+            {type: 'removed', path: 'a', oldValue: 1, newValue: undefined}
+        ]);
+    });
+
+    it('use the path separator', function() {
+        config.pathSeparator = '/';
+        expect(config.diff({a: {b: 1}}, {a: {b: 2}})).to.deep.equal([
+            {type: 'changed', path: 'a/b', oldValue: 1, newValue: 2}
+        ]);
+    });
+
+    it('throw an error for illegal sides', function() {
+        expect(() => config.diff('missing', 'user')).to.throw('Cannot compare non-existing layer missing');
+        expect(() => config.diff('user', 42)).to.throw(TypeError);
+    });
+});
@@ -0,0 +1,107 @@
+// Tests the change events
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var path = require('path');
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Change events', function() {
+    var config;
+    var events;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {db: {host: 'localhost', port: 5432}, debug: false});
+        config.addLayer('user', {db: {host: 'db.example.com'}});
+        events = [];
+        config.on('change', event => events.push(event));
+    });
+
+    it('be emitted by set()', function() {
+        var setEvents = [];
+        config.on('set', event => setEvents.push(event));
+        config.set('db.port', 1234);
+        expect(events).to.deep.equal([{
+            type: 'set',
+            path: 'db.port',
+            layer: 'user',
+            oldValue: 5432,
+            newValue: 1234,
+            changes: [{path: 'db.port', oldValue: 5432, newValue: 1234}]
+        }]);
+        expect(setEvents).to.deep.equal(events);
+    });
+
+    it('report the effective values of branches', function() {
+        config.set('db', {host: 'other', user: 'me'}, 'user');
+        expect(events).to.have.length(1);
+        expect(events[0].oldValue).to.deep.equal({host: 'db.example.com', port: 5432});
+        expect(events[0].newValue).to.deep.equal({host: 'other', user: 'me', port: 5432});
+        expect(events[0].changes).to.deep.equal([
+            {path: 'db.host', oldValue: 'db.example.com', newValue: 'other'},
+            {path: 'db.user', oldValue: undefined, newValue: 'me'}
+        ]);
+    });
+
+    it('not be emitted when the effective value does not change', function() {
+        config.set('db.host', 'shadowed', 'defaults');
+        config.set('db.host', 'db.example.com');
+        config.addLayerAfter('lowest', {db: {port: 1}, debug: true}, 'defaults');
+        config.removeLayer('notThere');
+        expect(events).to.deep.equal([]);
+    });
+
+    it('be emitted when adding layers', function() {
+        config.addLayerBefore('top', {debug: true, db: {port: 5432}}, 'user');
+        expect(events).to.have.length(1);
+        expect(events[0].type).to.equal('addLayer');
+        expect(events[0].path).to.equal('');
+        expect(events[0].layer).to.equal('top');
+        expect(events[0].changes).to.deep.equal([{path: 'debug', oldValue: false, newValue: true}]);
+    });
+
+    it('be emitted when removing layers', function() {
+        config.removeLayer(['user', 'defaults']);
+        expect(events).to.have.length(1);
+        expect(events[0].type).to.equal('removeLayer');
+        expect(events[0].layer).to.deep.equal(['user', 'defaults']);
+        expect(events[0].newValue).to.equal(undefined);
+    });
+
+    it('be emitted when clearing layers', function() {
+        config.clearLayer('user');
+        config.clearAllLayers();
+        expect(events.map(event => event.type)).to.deep.equal(['clearLayer', 'clearLayer']);
+        expect(events[0].changes).to.deep.equal([
+            {path: 'db.host', oldValue: 'db.example.com', newValue: 'localhost'}
+        ]);
+    });
+
+    it('be emitted once when loading a directory', function() {
+        return config.loadFromDirectory(path.join(__dirname, '..', 'storage', 'testData')).then(() => {
+            expect(events).to.have.length(1);
+            expect(events[0].type).to.equal('load');
+            expect(events[0].layer).to.deep.equal(['a', 'b', 'c', 'd']);
+        });
+    });
+
+    it('be emitted when loading a file', function() {
+        return config.loadFromFile(path.join(__dirname, '..', 'storage', 'testData', 'c.hjson'), 'user').then(() => {
+            expect(events).to.have.length(1);
+            expect(events[0].type).to.equal('load');
+            expect(events[0].layer).to.equal('user');
+            expect(events[0].changes).to.deep.equal([
+                {path: 'db.host', oldValue: 'db.example.com', newValue: 'localhost'},
+                {path: 'c', oldValue: undefined, newValue: 1},
+                {path: 'd', oldValue: undefined, newValue: {dd: true}}
+            ]);
+        });
+    });
+
+    it('not be emitted when an operation fails', function() {
+        config.setSchema({properties: {debug: {type: 'boolean'}}});
+        expect(() => config.set('debug', 'foo')).to.throw(Error);
+        expect(events).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,99 @@
+// Tests the explain() functionality
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var path = require('path');
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Explaining configuration values', function() {
+    var config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {
+            db: {host: 'localhost', port: 5432},
+            list: [1, 2],
+            name: 'app',
+            url: '${db.host}:${db.port}'
+        });
+        config.addLayer('user', {db: {host: 'db.example.com'}, list: [3], name: null});
+        config.addLayer('env', {db: 'disabled'});
+        // Traversal order is now: env, user, defaults
+    });
+
+    it('report the supplying and the shadowed layers', function() {
+        var explanation = config.explain('db.host');
+        expect(explanation.path).to.equal('db.host');
+        expect(explanation.value).to.equal('db.example.com');
+        expect(explanation.layer).to.equal('user');
+        expect(explanation.sourceFile).to.equal(null);
+        expect(explanation.shadowed).to.deep.equal(['defaults']);
+        expect(explanation.layers).to.deep.equal([
+            {name: 'env', value: undefined, sourceFile: null, status: 'absent'},
+            {name: 'user', value: 'db.example.com', sourceFile: null, status: 'effective'},
+            {name: 'defaults', value: 'localhost', sourceFile: null, status: 'shadowed'}
+        ]);
+    });
+
+    it('handle null values and missing paths', function() {
+        expect(config.explain('name').layer).to.equal('user');
+        var explanation = config.explain('name', {ignoreNulls: true});
+        expect(explanation.value).to.equal('app');
+        expect(explanation.layer).to.equal('defaults');
+        expect(explanation.shadowed).to.deep.equal([]);
+        explanation = config.explain('not.there');
+        expect(explanation.value).to.equal(undefined);
+        expect(explanation.layer).to.equal(null);
+        expect(explanation.shadowed).to.deep.equal([]);
+    });
+
+    it('resolve references in the effective value only', function() {
+        var explanation = config.explain('url');
+        expect(explanation.value).to.equal('db.example.com:5432');
+        expect(explanation.layers[2].value).to.equal('${db.host}:${db.port}');
+    });
+
+    it('report the source file of file-loaded layers', function() {
+        var filePath = path.join(__dirname, '..', 'storage', 'testData', 'a.hjson');
+        return config.loadFromFile(filePath).then(() => {
+            var explanation = config.explain('a.aa');
+            expect(explanation.layer).to.equal('a');
+            expect(explanation.sourceFile).to.equal(filePath);
+        });
+    });
+
+    it('break down merged values key by key', function() {
+        config.removeLayer('env');
+        config.setArrayMergeStrategy('concat', 'list');
+        var explanation = config.explain('', {merged: true});
+        expect(explanation.value.db).to.deep.equal({host: 'db.example.com', port: 5432});
+        expect(explanation.layer).to.equal('user');
+        expect(explanation.keys.db.layers[0].status).to.equal('effective');
+        expect(explanation.keys.db.layers[1].status).to.equal('merged');
+        expect(explanation.keys.db.keys.host.layer).to.equal('user');
+        expect(explanation.keys.db.keys.host.shadowed).to.deep.equal(['defaults']);
+        expect(explanation.keys.db.keys.port.layer).to.equal('defaults');
+        expect(explanation.keys.list.value).to.deep.equal([1, 2, 3]);
+        expect(explanation.keys.list.shadowed).to.deep.equal([]);
+        expect(explanation.keys.name.value).to.equal(null);
+        expect(explanation.keys.name.keys).to.equal(undefined);
+    });
+
+    it('report values below shadowed branches as shadowed', function() {
+        var explanation = config.explain('db', {merged: true});
+        expect(explanation.value).to.equal('disabled');
+        expect(explanation.layer).to.equal('env');
+        expect(explanation.shadowed).to.deep.equal(['user', 'defaults']);
+        expect(explanation.keys).to.equal(undefined);
+        config.addLayer('top', {db: {port: 1}});
+        explanation = config.explain('db', {merged: true});
+        expect(explanation.value).to.deep.equal({port: 1});
+        expect(explanation.keys.port.shadowed).to.deep.equal(['defaults']);
+        config.removeLayer('top');
+        config.set('db', {user: 'admin'}, 'env');
+        explanation = config.explain('db', {merged: true});
+        expect(explanation.keys.host.layer).to.equal('user');
+        expect(explanation.keys.user.layer).to.equal('env');
+    });
+});
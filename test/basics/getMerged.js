@@ -0,0 +1,155 @@
+// Tests the getMerged() functionality
+/* global describe, it, before */
+'use strict';
+
+var expect = require('chai').expect;
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Retrieving merged data', function() {
+    describe('getMerged()', function() {
+        var config = new LayeredConfiguration();
+
+        before(function() {
+            config.addLayer('one', {
+                a: 1,
+                db: {host: 'localhost', port: 5432, pool: {min: 1, max: 10}},
+                list: [1, 2],
+                n: {nn: 'one'},
+                s: {ss: true}
+            });
+            config.addLayer('two', {
+                db: {host: 'db.example.com', pool: {max: null}},
+                list: [3],
+                n: null,
+                s: 'scalar'
+            });
+            config.addLayer('three', {
+                db: {pool: {min: 2}},
+                s: {ss2: false}
+            });
+            // Traversal order is now: three, two, one
+        });
+
+        it('merge branches of all layers', function() {
+            expect(config.getMerged('db')).to.deep.equal({
+                host: 'db.example.com',
+                port: 5432,
+                pool: {min: 2, max: null}
+            });
+            expect(config.getMerged('db.pool')).to.deep.equal({min: 2, max: null});
+        });
+
+        it('return leaf values just like get()', function() {
+            expect(config.getMerged('a')).to.equal(1);
+            expect(config.getMerged('db.host')).to.equal('db.example.com');
+            expect(config.getMerged('x')).to.equal(undefined);
+        });
+
+        it('treat arrays as leaves', function() {
+            expect(config.getMerged('list')).to.deep.equal([3]);
+        });
+
+        it('stop merging at the first leaf value', function() {
+            expect(config.getMerged('s')).to.deep.equal({ss2: false});
+            expect(config.getMerged('n')).to.equal(null);
+        });
+
+        it('ignore nulls when requested', function() {
+            expect(config.getMerged('db.pool', true)).to.deep.equal({min: 2, max: 10});
+            expect(config.getMerged('n', true)).to.deep.equal({nn: 'one'});
+        });
+
+        it('merge only the requested layers in the requested order', function() {
+            expect(config.getMerged('db', false, ['one', 'two'])).to.deep.equal({
+                host: 'localhost',
+                port: 5432,
+                pool: {min: 1, max: 10}
+            });
+            expect(config.getMerged('db', false, 'three')).to.deep.equal({pool: {min: 2}});
+            expect(config.getMerged('db', false, 'foo')).to.equal(undefined);
+        });
+
+        it('return a copy of the configuration data', function() {
+            config.getMerged('db').pool.min = 1337;
+            expect(config.get('db.pool.min')).to.equal(2);
+        });
+
+        it('throw an error if any of the parameters is of a wrong type', function() {
+            expect(() => config.getMerged(true)).to.throw(TypeError);
+            expect(() => config.getMerged('a', true, true)).to.throw(TypeError);
+            expect(() => config.getMerged('a', true, {})).to.throw(TypeError);
+        });
+    });
+
+    describe('setArrayMergeStrategy()', function() {
+        var config = new LayeredConfiguration();
+
+        before(function() {
+            config.addLayer('defaults', {
+                plugins: ['a', 'b'],
+                servers: [{name: 'one', port: 1}, {name: 'two', port: 2, tags: ['x']}],
+                nested: {list: [1]}
+            });
+            config.addLayer('user', {
+                plugins: ['b', 'c'],
+                servers: [{name: 'two', port: 22, tags: ['y']}, {name: 'three', port: 3}],
+                nested: {list: [2]}
+            });
+        });
+
+        it('replace arrays by default', function() {
+            expect(config.getMerged('plugins')).to.deep.equal(['b', 'c']);
+            expect(config.getMerged('nested')).to.deep.equal({list: [2]});
+        });
+
+        it('concatenate arrays', function() {
+            config.setArrayMergeStrategy('concat');
+            expect(config.getMerged('plugins')).to.deep.equal(['a', 'b', 'b', 'c']);
+            expect(config.getMerged('nested')).to.deep.equal({list: [1, 2]});
+        });
+
+        it('build the union of arrays', function() {
+            config.setArrayMergeStrategy('union');
+            expect(config.getMerged('plugins')).to.deep.equal(['a', 'b', 'c']);
+        });
+
+        it('merge array items by key', function() {
+            config.setArrayMergeStrategy({strategy: 'mergeByKey', key: 'name'});
+            // The global strategy applies to the nested tags, too - items without a key are appended
+            expect(config.getMerged('servers')).to.deep.equal([
+                {name: 'one', port: 1},
+                {name: 'two', port: 22, tags: ['x', 'y']},
+                {name: 'three', port: 3}
+            ]);
+        });
+
+        it('use path-specific strategies', function() {
+            config.setArrayMergeStrategy('replace');
+            config.setArrayMergeStrategy({strategy: 'mergeByKey', key: 'name'}, 'servers');
+            config.setArrayMergeStrategy('concat', 'servers.tags');
+            expect(config.getMerged('')).to.deep.equal({
+                plugins: ['b', 'c'],
+                servers: [
+                    {name: 'one', port: 1},
+                    {name: 'two', port: 22, tags: ['x', 'y']},
+                    {name: 'three', port: 3}
+                ],
+                nested: {list: [2]}
+            });
+            config.setArrayMergeStrategy(null, 'servers');
+            expect(config.getMerged('servers')).to.deep.equal(config.get('servers'));
+        });
+
+        it('leave get() untouched', function() {
+            config.setArrayMergeStrategy('concat');
+            expect(config.get('plugins')).to.deep.equal(['b', 'c']);
+        });
+
+        it('throw an error for illegal strategies', function() {
+            expect(() => config.setArrayMergeStrategy('foo')).to.throw(Error);
+            expect(() => config.setArrayMergeStrategy(true)).to.throw(TypeError);
+            expect(() => config.setArrayMergeStrategy('mergeByKey', 'servers')).to.throw(TypeError);
+            expect(config.arrayMergeStrategy).to.equal('concat');
+        });
+    });
+});
@@ -0,0 +1,195 @@
+// Tests the undo/redo history
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('History', function() {
+    var config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {db: {host: 'localhost', port: 5432}});
+        config.addLayer('user', {db: {host: 'db.example.com'}});
+        config.setHistoryDepth(10);
+    });
+
+    it('record nothing by default', function() {
+        var other = new LayeredConfiguration();
+        other.addLayer('user', {a: 1});
+        other.set('a', 2);
+        expect(other.history()).to.deep.equal([]);
+        expect(other.undo()).to.equal(false);
+        expect(other.get('a')).to.equal(2);
+    });
+
+    it('undo and redo writes', function() {
+        config.set('db.host', 'first.example.com');
+        config.set('db.host', 'second.example.com');
+        expect(config.undo()).to.equal(true);
+        expect(config.get('db.host')).to.equal('first.example.com');
+        expect(config.undo()).to.equal(true);
+        expect(config.get('db.host')).to.equal('db.example.com');
+        expect(config.undo()).to.equal(false);
+        expect(config.redo()).to.equal(true);
+        expect(config.get('db.host')).to.equal('first.example.com');
+        expect(config.redo()).to.equal(true);
+        expect(config.redo()).to.equal(false);
+        expect(config.get('db.host')).to.equal('second.example.com');
+    });
+
+    it('undo layer operations', function() {
+        config.addLayer('extra', {a: 1});
+        config.removeLayer('defaults');
+        config.clearLayer('user');
+        expect(config.getLayerNames()).to.deep.equal(['extra', 'user']);
+
+        config.undo();
+        expect(config.get('db.host')).to.equal('db.example.com');
+        config.undo();
+        expect(config.getLayerNames()).to.deep.equal(['extra', 'user', 'defaults']);
+        expect(config.get('db.port')).to.equal(5432);
+        config.undo();
+        expect(config.getLayerNames()).to.deep.equal(['user', 'defaults']);
+        config.set('b', 2, 'new');
+        config.undo();
+        expect(config.getLayerNames()).to.deep.equal(['user', 'defaults']);
+    });
+
+    it('keep the changes of other layers when undoing', function() {
+        config.set('db.host', 'changed.example.com', 'user');
+        config.set('db.port', 1234, 'defaults');
+        config.undo();
+        config.undo();
+        expect(config.get('db.port')).to.equal(5432);
+        config.redo();
+        config.set('db.port', 4321, 'defaults');
+        // Recording a new operation drops the operations that can be redone
+        expect(config.redo()).to.equal(false);
+        expect(config.get('db.host')).to.equal('changed.example.com');
+        expect(config.get('db.port')).to.equal(4321);
+    });
+
+    it('only revert the recorded changes', function() {
+        config.set('db.host', 'changed.example.com', 'user');
+        config.set('db.port', 0, 'user');
+        var snapshot = config.snapshot();
+        config.set('db.port', 7, 'user');
+        // Neither restoring snapshots, loading data nor moving layers is recorded
+        config.restore(snapshot);
+        config.getLayer('user').setConfigurationNode(['db', 'user'], 'admin');
+        config.moveLayer('user', 1);
+        expect(config.undo()).to.equal(true);
+        expect(config.get('db', false, 'user')).to.deep.equal({host: 'changed.example.com', port: 0, user: 'admin'});
+        expect(config.undo()).to.equal(true);
+        expect(config.undo()).to.equal(true);
+        expect(config.get('db', false, 'user')).to.deep.equal({host: 'db.example.com', user: 'admin'});
+        expect(config.getLayerNames()).to.deep.equal(['defaults', 'user']);
+        expect(config.redo()).to.equal(true);
+        expect(config.get('db.host', false, 'user')).to.equal('changed.example.com');
+        expect(config.getLayerNames()).to.deep.equal(['defaults', 'user']);
+    });
+
+    it('refuse to change replaced and read-only layers', function() {
+        config.set('db.port', 1, 'user');
+        // Loading data is not recorded - the changes of the replaced layer cannot be undone
+        config.loadFromArgv(['--db.port=2'], {readOnly: true}, 'user');
+        expect(() => config.undo()).to.throw('Cannot undo the operation since the layer user has been replaced');
+        expect(config.get('db.port')).to.equal(2);
+        config.clearHistory();
+        config.set('db.port', 1, 'defaults');
+        config.getLayer('defaults').readOnly = true;
+        expect(() => config.undo()).to.throw('Cannot undo the operation since the layer defaults has been replaced ' +
+            'or is read-only');
+        config.getLayer('defaults').readOnly = false;
+        expect(config.undo()).to.equal(true);
+        expect(config.get('db.port', false, 'defaults')).to.equal(5432);
+    });
+
+    it('undo operations on layers restored by the history', function() {
+        config.set('a', 1, 'user');
+        config.removeLayer('user');
+        config.undo();
+        config.undo();
+        expect(config.get('a')).to.equal(undefined);
+        config.redo();
+        config.redo();
+        expect(config.getLayerNames()).to.deep.equal(['defaults']);
+        config.undo();
+        expect(config.get('a')).to.equal(1);
+    });
+
+    it('not leave created objects behind when undoing writes', function() {
+        config.set('a.b.c', 1, 'user');
+        config.undo();
+        expect(config.getLayer('user').data).to.deep.equal({db: {host: 'db.example.com'}});
+        config.redo();
+        expect(config.get('a')).to.deep.equal({b: {c: 1}});
+    });
+
+    it('only revert the values changed by transactions', function() {
+        return config.transaction(tx => {
+            tx.set('db.host', 'replica.example.com');
+        }).then(() => {
+            config.restore(config.snapshot());
+            config.set('db.port', 1234, 'defaults');
+            config.undo();
+            config.getLayer('user').setConfigurationNode(['extra'], true);
+            config.undo();
+            expect(config.get('db.host')).to.equal('db.example.com');
+            expect(config.get('db.port')).to.equal(5432);
+            expect(config.get('extra')).to.equal(true);
+        });
+    });
+
+    it('report the recorded operations', function() {
+        config.set('db.host', 'changed.example.com');
+        config.set('db.host', 'changed.example.com');
+        config.clearLayer('user');
+        config.undo();
+        var history = config.history();
+        expect(history).to.have.length(2);
+        expect(history[0].type).to.equal('set');
+        expect(history[0].path).to.equal('db.host');
+        expect(history[0].layer).to.equal('user');
+        expect(history[0].date).to.be.an.instanceof(Date);
+        expect(history[0].undone).to.equal(false);
+        expect(history[1].type).to.equal('clearLayer');
+        expect(history[1].undone).to.equal(true);
+        config.clearHistory();
+        expect(config.history()).to.deep.equal([]);
+    });
+
+    it('limit the number of recorded operations', function() {
+        config.setHistoryDepth(2);
+        config.set('db.port', 1);
+        config.set('db.port', 2);
+        config.set('db.port', 3);
+        expect(config.history()).to.have.length(2);
+        config.setHistoryDepth(1);
+        expect(config.undo()).to.equal(true);
+        expect(config.undo()).to.equal(false);
+        expect(config.get('db.port')).to.equal(2);
+        config.setHistoryDepth(0);
+        config.set('db.port', 4);
+        expect(config.history()).to.deep.equal([]);
+        expect(() => config.setHistoryDepth(-1)).to.throw(TypeError);
+    });
+
+    it('record transactions as single operations and emit events', function() {
+        var events = [];
+        config.on('change', event => events.push(event.type));
+        return config.transaction(tx => {
+            tx.set('db.host', 'replica.example.com');
+            tx.set('db.port', 6432);
+        }).then(() => {
+            expect(config.history()).to.have.length(1);
+            config.undo();
+            expect(config.get('db')).to.deep.equal({host: 'db.example.com'});
+            config.redo();
+            expect(config.get('db')).to.deep.equal({host: 'replica.example.com', port: 6432});
+            expect(events).to.deep.equal(['transaction', 'undo', 'redo']);
+        });
+    });
+});
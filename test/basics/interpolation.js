@@ -0,0 +1,130 @@
+// Tests resolving references between configuration values
+/* global describe, it, beforeEach, afterEach */
+'use strict';
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var path = require('path');
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Interpolation', function() {
+    var config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {
+            server: {host: 'localhost', port: 8080, url: 'http://${server.host}:${server.port}/api'},
+            port: '${server.port}',
+            endpoints: {status: '${server.url}/status', list: ['${server.host}', 'static']},
+            literal: 'Costs $${price}',
+            settings: {a: 1}
+        });
+        config.addLayer('user', {server: {host: 'example.com'}});
+    });
+
+    it('resolve references against the effective configuration', function() {
+        expect(config.get('server.url')).to.equal('http://example.com:8080/api');
+        expect(config.get('endpoints.status')).to.equal('http://example.com:8080/api/status');
+        config.set('server.port', 80, 'user');
+        expect(config.get('server.url')).to.equal('http://example.com:80/api');
+    });
+
+    it('keep the type of values consisting of a single reference', function() {
+        expect(config.get('port')).to.equal(8080);
+        config.set('copy', '${settings}', 'user');
+        expect(config.get('copy')).to.deep.equal({a: 1});
+    });
+
+    it('resolve references inside of branches', function() {
+        expect(config.get('endpoints')).to.deep.equal({
+            status: 'http://example.com:8080/api/status',
+            list: ['example.com', 'static']
+        });
+        expect(config.getMerged('server')).to.deep.equal({
+            host: 'example.com',
+            port: 8080,
+            url: 'http://example.com:8080/api'
+        });
+        // The stored data stays untouched
+        expect(config.getLayer('defaults').data.endpoints.list[0]).to.equal('${server.host}');
+    });
+
+    it('support escaping references', function() {
+        expect(config.get('literal')).to.equal('Costs ${price}');
+    });
+
+    it('return raw values using getRaw()', function() {
+        expect(config.getRaw('server.url')).to.equal('http://${server.host}:${server.port}/api');
+        expect(config.getRaw('server.host', false, 'defaults')).to.equal('localhost');
+    });
+
+    it('throw an error for circular references', function() {
+        config.set('a', '${b}', 'user');
+        config.set('b', 'x${c}', 'user');
+        config.set('c', '${a}', 'user');
+        expect(() => config.get('a')).to.throw('Circular reference: a -> b -> c -> a');
+        config.set('d', {e: '${d}'}, 'user');
+        expect(() => config.get('d')).to.throw('Circular reference');
+    });
+
+    it('throw an error for references to missing paths', function() {
+        config.set('broken', '${not.there}', 'user');
+        expect(() => config.get('broken')).to.throw('Cannot resolve reference ${not.there} at path broken');
+        expect(config.has('broken')).to.equal(true);
+    });
+
+    describe('Placeholders', function() {
+        var envName = 'LAYERED_CONFIG_TEST_PASSWORD';
+
+        beforeEach(function() {
+            process.env[envName] = 'secret';
+        });
+
+        afterEach(function() {
+            delete process.env[envName];
+        });
+
+        it('resolve environment variables', function() {
+            config.set('db', {password: '${env:' + envName + '}', url: 'user:${env:' + envName + '}@db'}, 'user');
+            expect(config.get('db')).to.deep.equal({password: 'secret', url: 'user:secret@db'});
+            process.env[envName] = 'changed';
+            expect(config.get('db.password')).to.equal('changed');
+            delete process.env[envName];
+            expect(() => config.get('db.password')).to.throw('Cannot resolve placeholder ${env:' + envName + '}');
+        });
+
+        it('resolve file contents', function() {
+            var filePath = path.join(__dirname, '..', 'storage', 'testData', 'c.hjson');
+            config.set('cert', '${file:' + filePath + '}', 'user');
+            expect(config.get('cert')).to.equal(fs.readFileSync(filePath, 'utf8'));
+            config.set('cert', '${file:' + filePath + '.missing}', 'user');
+            expect(() => config.get('cert')).to.throw('ENOENT');
+        });
+
+        it('strip the trailing line break of file contents', function() {
+            var filePath = path.join(__dirname, '..', 'storage', 'secret.txt');
+            config.set('password', '${file:' + filePath + '}', 'user');
+            try {
+                fs.writeFileSync(filePath, 'hunter2\r\n');
+                expect(config.get('password')).to.equal('hunter2');
+                fs.writeFileSync(filePath, 'line 1\nline 2\n\n');
+                expect(config.get('password')).to.equal('line 1\nline 2\n');
+            } finally {
+                fs.unlinkSync(filePath);
+            }
+        });
+
+        it('use registered resolvers', function() {
+            config.registerResolver('upper', text => text.toUpperCase());
+            config.registerResolver('none', () => undefined);
+            config.set('a', '${upper:abc}-${ upper:def }', 'user');
+            config.set('b', '${none:x}', 'user');
+            config.set('c', '${unknown:x}', 'user');
+            expect(config.get('a')).to.equal('ABC-DEF');
+            expect(() => config.get('b')).to.throw('no value available');
+            expect(() => config.get('c')).to.throw('the path does not exist');
+            expect(() => config.registerResolver('1a', String)).to.throw(TypeError);
+            expect(() => config.registerResolver('a', 'b')).to.throw(TypeError);
+        });
+    });
+});
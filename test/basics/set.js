@@ -1,5 +1,5 @@
 // Tests the set() functionality
-/* global describe, it, before */
+/* global describe, it, before, beforeEach */
 'use strict';
 
 var expect = require('chai').expect;
@@ -174,4 +174,51 @@ describe('Storing data', function() {
             expect(() => config.set(null, 'a')).to.throw(TypeError);
         });
     });
+
+    describe('Read-only layers', function() {
+        var LayeredConfiguration = config.LayeredConfiguration;
+        var readOnlyConfig;
+
+        beforeEach(function() {
+            readOnlyConfig = new LayeredConfiguration();
+            readOnlyConfig.addLayer('defaults', {a: 1}, {readOnly: true});
+            readOnlyConfig.addLayer('user', {b: 2});
+            readOnlyConfig.addLayerAt('env', {c: 3}, 0, {readOnly: true});
+            // Traversal order is now: env, user, defaults
+        });
+
+        it('reject writing into read-only layers', function() {
+            expect(readOnlyConfig.getLayer('env').readOnly).to.equal(true);
+            expect(readOnlyConfig.getLayer('user').readOnly).to.equal(false);
+            expect(() => readOnlyConfig.set('a', 2, 'defaults')).to.throw('Layer defaults is read-only');
+            expect(() => readOnlyConfig.set('c', undefined, 'env')).to.throw('Layer env is read-only');
+            expect(readOnlyConfig.get('a')).to.equal(1);
+            expect(readOnlyConfig.get('c')).to.equal(3);
+        });
+
+        it('write into the writable layer with the highest priority by default', function() {
+            readOnlyConfig.set('d', 4);
+            expect(readOnlyConfig.get('d', false, 'user')).to.equal(4);
+            readOnlyConfig.removeLayer('user');
+            expect(() => readOnlyConfig.set('d', 4)).to.throw('No writable layers present');
+        });
+
+        it('reject clearing read-only layers', function() {
+            expect(() => readOnlyConfig.clearLayer(['user', 'env'])).to.throw('Layer env is read-only');
+            expect(readOnlyConfig.get('b')).to.equal(2);
+            readOnlyConfig.clearAllLayers();
+            expect(readOnlyConfig.get('b')).to.equal(undefined);
+            expect(readOnlyConfig.get('a')).to.equal(1);
+            expect(readOnlyConfig.get('c')).to.equal(3);
+        });
+
+        it('allow replacing read-only layers', function() {
+            readOnlyConfig.addLayer('env', {c: 4});
+            expect(readOnlyConfig.getLayer('env').readOnly).to.equal(false);
+            readOnlyConfig.loadFromEnv({readOnly: true}, 'env');
+            expect(readOnlyConfig.getLayer('env').readOnly).to.equal(true);
+            readOnlyConfig.loadFromArgv(['--x=1'], {readOnly: true});
+            expect(() => readOnlyConfig.set('x', 2, 'argv')).to.throw('Layer argv is read-only');
+        });
+    });
 });
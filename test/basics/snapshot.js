@@ -0,0 +1,86 @@
+// Tests the snapshot() and restore() functionality
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Snapshots', function() {
+    var config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {db: {host: 'localhost', port: 5432}}, {readOnly: true});
+        config.addLayer('user', {db: {host: 'db.example.com'}, list: [1, 2]});
+        config.getLayer('user').setSource('/etc/app/user.hjson', '{}');
+    });
+
+    it('capture all layers, their data, order and flags', function() {
+        expect(config.snapshot()).to.deep.equal({
+            layers: [
+                {
+                    name: 'user',
+                    data: {db: {host: 'db.example.com'}, list: [1, 2]},
+                    readOnly: false,
+                    writeToDisk: false,
+                    sourceFile: '/etc/app/user.hjson',
+                    sourceText: '{}'
+                },
+                {
+                    name: 'defaults',
+                    data: {db: {host: 'localhost', port: 5432}},
+                    readOnly: true,
+                    writeToDisk: false,
+                    sourceFile: null,
+                    sourceText: null
+                }
+            ]
+        });
+    });
+
+    it('create immutable snapshots', function() {
+        var snapshot = config.snapshot();
+        expect(Object.isFrozen(snapshot.layers[0].data.list)).to.equal(true);
+        expect(() => {
+            snapshot.layers[0].data.db.host = 'changed';
+        }).to.throw(TypeError);
+        config.getLayer('user').data.list.push(3);
+        expect(snapshot.layers[0].data.list).to.deep.equal([1, 2]);
+    });
+
+    it('restore the captured state', function() {
+        var snapshot = config.snapshot();
+        config.set('db.host', 'other.example.com');
+        config.moveLayer('defaults', 0);
+        config.addLayer('extra', {a: 1});
+        config.removeLayer('user');
+
+        config.restore(snapshot);
+        expect(config.getLayerNames()).to.deep.equal(['user', 'defaults']);
+        expect(config.get('db.host')).to.equal('db.example.com');
+        expect(config.getLayer('defaults').readOnly).to.equal(true);
+        expect(config.getLayer('user').sourceFile).to.equal('/etc/app/user.hjson');
+
+        // The restored data is not frozen and the snapshot can be restored again
+        config.set('db.port', 1234, 'user');
+        expect(config.get('db.port', false, 'user')).to.equal(1234);
+        config.restore(snapshot);
+        expect(config.get('db.port', false, 'user')).to.equal(undefined);
+    });
+
+    it('emit change events when restoring', function() {
+        var snapshot = config.snapshot();
+        var events = [];
+        config.set('db.port', 1234, 'user');
+        config.on('restore', event => events.push(event));
+        config.restore(snapshot);
+        expect(events).to.have.length(1);
+        expect(events[0].layer).to.deep.equal(['user', 'defaults']);
+        expect(events[0].changes).to.deep.equal([{path: 'db.port', oldValue: 1234, newValue: 5432}]);
+    });
+
+    it('throw an error for illegal snapshots', function() {
+        expect(() => config.restore({})).to.throw(TypeError);
+        expect(() => config.restore(null)).to.throw(TypeError);
+    });
+});
@@ -0,0 +1,58 @@
+// Tests deleting values of lower layers using tombstones
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var layeredConfig = require('../../index.js');
+var LayeredConfiguration = layeredConfig.LayeredConfiguration;
+
+describe('Tombstones', function() {
+    var config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {db: {host: 'localhost', port: 5432, pool: {min: 1}}, debug: true});
+        config.addLayer('user', {db: {host: 'db.example.com'}});
+    });
+
+    it('make paths absent no matter what lower layers contain', function() {
+        config.set('debug', LayeredConfiguration.UNSET, 'user');
+        expect(config.get('debug')).to.equal(undefined);
+        expect(config.has('debug')).to.equal(false);
+        expect(config.get('debug', false, 'defaults')).to.equal(true);
+        expect(config.getMerged('')).to.deep.equal({db: {host: 'db.example.com', port: 5432, pool: {min: 1}}});
+        // Deleting the tombstone brings the value back
+        config.set('debug', undefined, 'user');
+        expect(config.get('debug')).to.equal(true);
+    });
+
+    it('delete the children of unset branches', function() {
+        config.set('db.pool', LayeredConfiguration.UNSET, 'user');
+        expect(config.get('db.pool.min')).to.equal(undefined);
+        expect(config.has('db.pool')).to.equal(false);
+        expect(config.get('db')).to.deep.equal({host: 'db.example.com'});
+        expect(config.getMerged('db')).to.deep.equal({host: 'db.example.com', port: 5432});
+        expect(config.getMerged('db.pool.min')).to.equal(undefined);
+        // Writing below a tombstone replaces it
+        config.set('db.pool.max', 10, 'user');
+        expect(config.getMerged('db.pool')).to.deep.equal({max: 10, min: 1});
+    });
+
+    it('support tombstones inside of layer data and files', function() {
+        var data = layeredConfig.formats.hjson.parse('{\n    db: {\n        port: {$unset: true}\n    }\n}\n');
+        config.addLayer('file', data);
+        expect(layeredConfig.UNSET).to.deep.equal({$unset: true});
+        expect(config.get('db.port')).to.equal(undefined);
+        expect(config.getMerged('db')).to.deep.equal({host: 'db.example.com', pool: {min: 1}});
+        expect(config.explain('db.port').layer).to.equal('file');
+        expect(config.explain('db.port').value).to.equal(undefined);
+    });
+
+    it('skip tombstones when validating', function() {
+        config.setSchema({type: 'object', properties: {db: {type: 'object', properties: {port: {type: 'integer'}}}}});
+        config.set('db.port', LayeredConfiguration.UNSET, 'user');
+        config.addLayer('other', {db: {port: {$unset: true}}});
+        config.validate();
+        expect(config.getMerged('db.port')).to.equal(undefined);
+    });
+});
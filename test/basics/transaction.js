@@ -0,0 +1,121 @@
+// Tests the transaction() functionality
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Transactions', function() {
+    var config;
+    var events;
+
+    /**
+     * Expects a promise to be rejected with an error containing the given message
+     *
+     * @param  {Promise}    promise     The promise to check
+     * @param  {String}     message     The expected part of the error message
+     * @return {Promise}                A promise that resolves when the check succeeded
+     */
+    var expectRejection = function(promise, message) {
+        return promise.then(() => {
+            throw new Error('The transaction should have failed');
+        }, err => {
+            expect(err.message).to.contain(message);
+        });
+    };
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {db: {host: 'localhost', port: 5432}});
+        config.addLayer('user', {db: {host: 'db.example.com'}});
+        events = [];
+        config.on('change', event => events.push(event));
+    });
+
+    it('apply all changes at once', function() {
+        var observed = [];
+        config.watch('db', value => observed.push(value));
+        return config.transaction(tx => {
+            tx.set('db.host', 'replica.example.com');
+            expect(config.get('db.host')).to.equal('db.example.com');
+            return Promise.resolve().then(() => {
+                tx.set('db.port', 6432, 'user');
+                tx.removeLayer('defaults');
+                return 'done';
+            });
+        }).then(result => {
+            expect(result).to.equal('done');
+            expect(config.getLayerNames()).to.deep.equal(['user']);
+            expect(config.get('db')).to.deep.equal({host: 'replica.example.com', port: 6432});
+            expect(observed).to.deep.equal([{host: 'replica.example.com', port: 6432}]);
+            expect(events).to.have.length(1);
+            expect(events[0].type).to.equal('transaction');
+            expect(events[0].layer).to.deep.equal(['user', 'defaults']);
+        });
+    });
+
+    it('roll back if the callback throws an error', function() {
+        return expectRejection(config.transaction(tx => {
+            tx.set('db.host', 'replica.example.com');
+            throw new Error('Aborted');
+        }), 'Aborted').then(() => {
+            expect(config.get('db.host')).to.equal('db.example.com');
+            expect(events).to.have.length(0);
+        });
+    });
+
+    it('roll back if the callback returns a rejected promise', function() {
+        return expectRejection(config.transaction(tx => {
+            tx.set('db.host', 'replica.example.com');
+            return Promise.reject(new Error('Aborted'));
+        }), 'Aborted').then(() => {
+            expect(config.get('db.host')).to.equal('db.example.com');
+        });
+    });
+
+    it('run the validators against the final state', function() {
+        var checked = [];
+        config.setSchema({type: 'object', properties: {db: {type: 'object', required: ['host']}}});
+        var removeValidator = config.addValidator(cfg => {
+            checked.push(cfg.get('db.port'));
+            if (cfg.get('db.host') === 'localhost' && cfg.get('db.port') !== 5432) {
+                throw new Error('localhost needs the default port');
+            }
+        });
+        return expectRejection(config.transaction(tx => {
+            tx.set('db.host', 'localhost');
+            tx.set('db.port', 1234);
+        }), 'localhost needs the default port').then(() => {
+            expect(checked).to.deep.equal([1234]);
+            expect(() => config.addValidator('x')).to.throw(TypeError);
+            return expectRejection(config.transaction(tx => {
+                tx.removeLayer('defaults');
+                tx.set('db', {port: 1});
+            }), 'Invalid configuration: db.host is required');
+        }).then(() => {
+            removeValidator();
+            return config.transaction(tx => {
+                tx.set('db.host', 'localhost');
+                tx.set('db.port', 1234);
+            });
+        }).then(() => {
+            expect(config.get('db.port')).to.equal(1234);
+            expect(checked).to.deep.equal([1234]);
+        });
+    });
+
+    it('reject transactions if the configuration has been changed concurrently', function() {
+        var promise = config.transaction(tx => {
+            tx.set('db.host', 'replica.example.com');
+        });
+        config.set('db.port', 1234, 'user');
+        return expectRejection(promise, 'changed while the transaction was running').then(() => {
+            expect(config.get('db.host')).to.equal('db.example.com');
+            expect(config.get('db.port')).to.equal(1234);
+        });
+    });
+
+    it('reject illegal callbacks', function() {
+        return expectRejection(config.transaction('x'), 'callback needs to be a function');
+    });
+});
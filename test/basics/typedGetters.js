@@ -0,0 +1,84 @@
+// Tests the typed getters like getInteger()
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Typed getters', function() {
+    var config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        config.addLayer('defaults', {
+            name: 'app', port: 8080, ratio: 0.5, debug: false, hosts: ['a', 'b'], timeout: 1000, cache: 1024,
+            nothing: null
+        });
+        config.addLayer('env', {
+            port: '9090', ratio: '0.75', debug: 'yes', hosts: 'c, d', timeout: '1h 30m', cache: '512MB', version: 2
+        });
+    });
+
+    it('convert values into the requested types', function() {
+        expect(config.getString('name')).to.equal('app');
+        expect(config.getString('version')).to.equal('2');
+        expect(config.getNumber('ratio')).to.equal(0.75);
+        expect(config.getInteger('port')).to.equal(9090);
+        expect(config.getBoolean('debug')).to.equal(true);
+        expect(config.getArray('hosts')).to.deep.equal(['c', 'd']);
+        expect(config.getDuration('timeout')).to.equal(90 * 60 * 1000);
+        expect(config.getBytes('cache')).to.equal(512 * 1024 * 1024);
+        // Values that already have the requested type are kept
+        config.removeLayer('env');
+        expect(config.getInteger('port')).to.equal(8080);
+        expect(config.getBoolean('debug')).to.equal(false);
+        expect(config.getArray('hosts')).to.deep.equal(['a', 'b']);
+        expect(config.getDuration('timeout')).to.equal(1000);
+        expect(config.getBytes('cache')).to.equal(1024);
+    });
+
+    it('return the default value for missing paths and null values', function() {
+        expect(config.getString('missing', 'fallback')).to.equal('fallback');
+        expect(config.getInteger('nothing', 42)).to.equal(42);
+        expect(config.getDuration('missing')).to.equal(undefined);
+        expect(config.getBoolean('name.sub', true)).to.equal(true);
+    });
+
+    it('convert durations and sizes', function() {
+        var durations = {'250ms': 250, '30s': 30000, '5m': 300000, '2h': 7200000, '1d': 86400000, '1.5s': 1500,
+            '100': 100};
+        Object.keys(durations).forEach(function(text) {
+            config.set('value', text, 'env');
+            expect(config.getDuration('value')).to.equal(durations[text]);
+        });
+        var sizes = {'512': 512, '512B': 512, '64kb': 65536, '1.5 GiB': 1610612736, '1TB': 1099511627776};
+        Object.keys(sizes).forEach(function(text) {
+            config.set('value', text, 'env');
+            expect(config.getBytes('value')).to.equal(sizes[text]);
+        });
+    });
+
+    it('throw errors naming the path and the layer', function() {
+        config.set('port', 'eighty', 'env');
+        expect(() => config.getInteger('port')).to.throw(TypeError,
+            'Cannot convert the value "eighty" at path port of layer env into an integer');
+        expect(() => config.getInteger('ratio')).to.throw(TypeError, 'of layer env into an integer');
+        config.set('big', '99999999999999999999', 'env');
+        expect(() => config.getInteger('big')).to.throw(TypeError, 'at path big of layer env into an integer');
+        config.set('big', Math.pow(2, 53), 'env');
+        expect(() => config.getInteger('big')).to.throw(TypeError, 'into an integer');
+        expect(() => config.getNumber('name')).to.throw(TypeError, 'at path name of layer defaults into a number');
+        expect(() => config.getBoolean('name')).to.throw(TypeError, 'into a boolean');
+        expect(() => config.getArray('version')).to.throw(TypeError, 'into an array');
+        expect(() => config.getDuration('name')).to.throw(TypeError, 'into a duration');
+        expect(() => config.getBytes('name')).to.throw(TypeError, 'into a size in bytes');
+        config.removeLayer('env');
+        expect(() => config.getString('hosts')).to.throw(TypeError, 'at path hosts of layer defaults into a string');
+    });
+
+    it('redact secret values inside error messages', function() {
+        config.set('db.password', LayeredConfiguration.secret('hunter2'), 'env');
+        expect(() => config.getInteger('db.password')).to.throw(TypeError,
+            'Cannot convert the value "[REDACTED]" at path db.password of layer env into an integer');
+    });
+});
@@ -0,0 +1,90 @@
+// Tests the watch() functionality
+/* global describe, it, beforeEach */
+'use strict';
+
+var expect = require('chai').expect;
+var path = require('path');
+var LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+
+describe('Watching configuration paths', function() {
+    describe('watch()', function() {
+        var config;
+        var calls;
+        var watcher = function(newValue, oldValue) {
+            calls.push([newValue, oldValue]);
+        };
+
+        beforeEach(function() {
+            config = new LayeredConfiguration();
+            config.addLayer('defaults', {db: {pool: {min: 1, max: 10}, host: 'localhost'}, a: {aa: 1}});
+            config.addLayer('user', {db: {pool: {max: 20}}});
+            calls = [];
+        });
+
+        it('be called when the value at the path changes', function() {
+            config.watch('db.pool', watcher);
+            config.set('db.pool.min', 2, 'defaults');
+            expect(calls).to.deep.equal([[{min: 2, max: 20}, {min: 1, max: 20}]]);
+        });
+
+        it('be called when a value below the path changes', function() {
+            config.watch('db', watcher);
+            config.set('db.pool.max', 30);
+            expect(calls).to.have.length(1);
+            expect(calls[0][0].pool.max).to.equal(30);
+        });
+
+        it('be called when a parent of the path is replaced', function() {
+            config.watch('db.pool.max', watcher);
+            config.set('db', 'none');
+            // Just like get(), the path falls through to the lower layer
+            expect(calls).to.deep.equal([[10, 20]]);
+        });
+
+        it('not be called for changes outside of the path', function() {
+            config.watch('db.pool', watcher);
+            config.set('db.host', 'example.com');
+            config.set('a.aa', 2);
+            config.set('db.pool.max', 5, 'defaults'); // Shadowed by "user"
+            expect(calls).to.deep.equal([]);
+        });
+
+        it('be called when layers are added, moved or removed', function() {
+            config.watch('db.pool.max', watcher);
+            config.addLayer('top', {db: {pool: {max: 30}}});
+            config.moveLayer('top', 2);
+            config.removeLayer('user');
+            expect(calls).to.deep.equal([[30, 20], [20, 30], [10, 20]]);
+        });
+
+        it('be called once when loading multiple layers from a directory', function() {
+            config.watch('', watcher);
+            return config.loadFromDirectory(path.join(__dirname, '..', 'storage', 'testData')).then(() => {
+                expect(calls).to.have.length(1);
+            });
+        });
+
+        it('be called when a referenced value changes', function() {
+            config.set('api.url', 'http://${db.host}/x', 'user');
+            config.watch('api.url', watcher);
+            config.set('db.host', 'example.com');
+            config.set('db.host', '${missing}');
+            expect(calls).to.deep.equal([
+                ['http://example.com/x', 'http://localhost/x'],
+                [undefined, 'http://example.com/x']
+            ]);
+        });
+
+        it('not be called anymore after unsubscribing', function() {
+            var unwatch = config.watch('db.pool', watcher);
+            unwatch();
+            config.set('db.pool.max', 30);
+            expect(calls).to.deep.equal([]);
+            expect(config.listenerCount('change')).to.equal(0);
+        });
+
+        it('throw an error if the callback is not a function', function() {
+            expect(() => config.watch('db', true)).to.throw(TypeError);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+// Tests loading and saving .env files
+/* global describe, it, beforeEach, afterEach */
+'use strict';
+
+let expect = require('chai').expect;
+let LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+let fs = require('fs');
+let path = require('path');
+let rimraf = require('rimraf');
+
+describe('.env files', function() {
+    let filePath = path.join(__dirname, 'dotEnvData', 'sample.env');
+    let storagePath = path.join(__dirname, 'dotEnvTest');
+    let config;
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        fs.mkdirSync(storagePath);
+    });
+
+    afterEach(function(done) {
+        rimraf(storagePath, done);
+    });
+
+    it('load variables with quoting, escapes, export prefixes and comments', function() {
+        return config.loadFromDotEnv(filePath, {lowerCase: false}).then(() => {
+            expect(config.getLayerNames()).to.deep.equal(['dotenv']);
+            expect(config.getLayer('dotenv').data).to.deep.equal({
+                DB_HOST: 'localhost',
+                DB_PORT: '5432',
+                DB_PASSWORD: 's3cr$t "quoted"',
+                APP_GREETING: 'Hello #1 \\n',
+                APP_MOTD: 'first line\nsecond line',
+                EMPTY: ''
+            });
+            expect(config.getLayer('dotenv').sourceFile).to.equal(filePath);
+        });
+    });
+
+    it('apply the environment variable options', function() {
+        config.addLayer('defaults', {db: {host: 'example.com', user: 'admin'}});
+        return config.loadFromDotEnv(filePath, {separator: '_', match: /^db_/}, 'local').then(() => {
+            expect(config.getLayerNames()).to.deep.equal(['local', 'defaults']);
+            expect(config.get('db')).to.deep.equal({host: 'localhost', port: '5432', password: 's3cr$t "quoted"'});
+            expect(config.get('db.user')).to.equal('admin');
+        });
+    });
+
+    it('skip variables altering prototypes', function() {
+        let unsafePath = path.join(storagePath, 'unsafe.env');
+        fs.writeFileSync(unsafePath, '__proto__.polluted=1\nA.constructor.x=2\nA.B=3\n');
+        return config.loadFromDotEnv(unsafePath).then(() => {
+            return config.loadFromDotEnv(unsafePath, {separator: '.'}, 'separated');
+        }).then(() => {
+            expect({}.polluted).to.equal(undefined);
+            expect(config.getLayer('dotenv').data).to.deep.equal({a: {b: '3'}});
+            expect(config.getLayer('separated').data).to.deep.equal({a: {b: '3'}});
+        });
+    });
+
+    it('reject illegal files', function() {
+        let illegalPath = path.join(storagePath, 'illegal.env');
+        fs.writeFileSync(illegalPath, 'A=1\nB="unterminated\n');
+        return config.loadFromDotEnv(illegalPath).then(() => {
+            throw new Error('Expected an error');
+        }, err => {
+            expect(err.message).to.contain('line 2');
+            expect(config.getLayerNames()).to.deep.equal([]);
+        });
+    });
+
+    it('reject illegal options', function() {
+        let filePath = path.join(storagePath, 'options.env');
+        fs.writeFileSync(filePath, 'A=1\n');
+        return expect(config.loadFromDotEnv(filePath, {coerce: 'bogus'})).to.eventually.be.rejectedWith(TypeError)
+            .then(() => expect(config.loadFromDotEnv(filePath, {prefix: 42})).to.eventually.be.rejectedWith(TypeError))
+            .then(() => {
+                return expect(config.loadFromDotEnv(filePath, {mapping: 'A'})).to.eventually.be.rejectedWith(TypeError);
+            })
+            .then(() => {
+                expect(config.getLayerNames()).to.deep.equal([]);
+            });
+    });
+
+    it('save layers and the effective configuration', function() {
+        let layerPath = path.join(storagePath, 'layer.env');
+        let mergedPath = path.join(storagePath, 'merged.env');
+        config.addLayer('defaults', {db: {host: 'localhost', port: 5432}, tags: ['a', 'b']});
+        config.addLayer('user', {db: {password: 'p$ss "word"\n'}, debug: null});
+        return config.saveToDotEnv('user', layerPath).then(() => {
+            expect(fs.readFileSync(layerPath, 'utf8')).to.equal('DB_PASSWORD="p\\$ss \\"word\\"\\n"\nDEBUG=\n');
+            return config.saveToDotEnv(null, mergedPath, {separator: '__', upperCase: false});
+        }).then(() => {
+            expect(fs.readFileSync(mergedPath, 'utf8')).to.equal(
+                'db__host=localhost\ndb__port=5432\ndb__password="p\\$ss \\"word\\"\\n"\ntags="[\\"a\\",\\"b\\"]"\n' +
+                'debug=\n'
+            );
+            return config.loadFromDotEnv(layerPath, {separator: '_'}, 'reloaded');
+        }).then(() => {
+            expect(config.getLayer('reloaded').data).to.deep.equal({db: {password: 'p$ss "word"\n'}, debug: ''});
+        });
+    });
+
+    it('encrypt secret values if an encryption key has been set', function() {
+        let layerPath = path.join(storagePath, 'secret.env');
+        config.addLayer('user', {db: {host: 'localhost', password: 'hunter2'}});
+        config.addSecretPattern('db.password');
+        config.setEncryptionKey('passphrase');
+        return config.saveToDotEnv(null, layerPath).then(() => {
+            let content = fs.readFileSync(layerPath, 'utf8');
+            expect(content).to.match(/^DB_HOST=localhost\nDB_PASSWORD="enc:v1:[^"]+"\n$/);
+            let loadingConfig = new LayeredConfiguration();
+            loadingConfig.setEncryptionKey('passphrase');
+            return loadingConfig.loadFromDotEnv(layerPath, {separator: '_'}).then(() => {
+                expect(loadingConfig.get('db')).to.deep.equal({host: 'localhost', password: 'hunter2'});
+                expect(loadingConfig.isSecret('db.password')).to.equal(true);
+                return expect(new LayeredConfiguration().loadFromDotEnv(layerPath, {separator: '_'}))
+                    .to.eventually.be.rejectedWith('no encryption key set');
+            });
+        });
+    });
+
+    it('reject saving non-existing layers', function() {
+        return config.saveToDotEnv('notThere', path.join(storagePath, 'x.env')).then(() => {
+            throw new Error('Expected an error');
+        }, err => {
+            expect(err.message).to.equal('Cannot save non-existing layer');
+        });
+    });
+});
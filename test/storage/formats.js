@@ -0,0 +1,196 @@
+// Tests the file format registry
+/* global describe, it, beforeEach, afterEach */
+'use strict';
+
+let expect = require('chai').expect;
+let LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+let fs = require('fs');
+let path = require('path');
+let rimraf = require('rimraf');
+let yaml = require('js-yaml');
+
+describe('File formats', function() {
+    let dataPath = path.join(__dirname, 'formatData');
+    let storagePath = path.join(__dirname, 'formatTest');
+    let config;
+
+    // A simple line-based format for testing custom formats
+    let linesFormat = {
+        parse: text => {
+            let data = {};
+            text.split('\n').filter(line => line.trim()).forEach(line => {
+                let parts = line.split('=');
+                data[parts[0].trim()] = parts[1].trim();
+            });
+            return data;
+        },
+        stringify: data => Object.keys(data).map(key => key + '=' + data[key]).join('\n')
+    };
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        fs.mkdirSync(storagePath);
+    });
+
+    afterEach(function(done) {
+        rimraf(storagePath, done);
+    });
+
+    describe('YAML', function() {
+        it('load YAML files', function() {
+            return config.loadFromFile(path.join(dataPath, 'server.yaml')).then(() => {
+                expect(config.getLayerNames()).to.deep.equal(['server']);
+                expect(config.get('server')).to.deep.equal({
+                    host: 'localhost',
+                    port: 8080,
+                    plugins: ['auth', 'logging']
+                });
+            });
+        });
+
+        it('load YAML files from a directory', function() {
+            return config.loadFromDirectory(dataPath).then(() => {
+                expect(config.getLayerNames()).to.deep.equal(['server', 'legacy', 'db', 'client']);
+                expect(config.get('client.retries')).to.equal(3);
+            });
+        });
+
+        it('save YAML files', function() {
+            let fileName = path.join(storagePath, 'test.yml');
+            config.addLayer('test', {a: {b: [1, 2]}, c: 'd'});
+            return config.saveToFile('test', fileName).then(() => {
+                expect(yaml.load(fs.readFileSync(fileName, 'utf8'))).to.deep.equal({a: {b: [1, 2]}, c: 'd'});
+            });
+        });
+    });
+
+    describe('JSON', function() {
+        it('save JSON files as strict JSON', function() {
+            let fileName = path.join(storagePath, 'test.json');
+            config.addLayer('test', {a: {b: [1, 2]}, c: 'd'});
+            return config.saveToFile('test', fileName).then(() => {
+                expect(JSON.parse(fs.readFileSync(fileName, 'utf8'))).to.deep.equal({a: {b: [1, 2]}, c: 'd'});
+            });
+        });
+    });
+
+    describe('TOML', function() {
+        it('load TOML files', function() {
+            return config.loadFromFile(path.join(dataPath, 'db.toml')).then(() => {
+                expect(config.getLayerNames()).to.deep.equal(['db']);
+                expect(config.get('db')).to.deep.equal({host: 'localhost', port: 5432, pool: {max: 10}});
+            });
+        });
+
+        it('save TOML files', function() {
+            config.addLayer('a', {a: 1, b: {c: 'd', e: [1, 2]}}).writeToDisk = true;
+            return config.saveToDirectory(storagePath, {extension: '.toml'}).then(() => {
+                expect(fs.readdirSync(storagePath)).to.deep.equal(['a.toml']);
+                return config.loadFromFile(path.join(storagePath, 'a.toml'), 'loaded');
+            }).then(() => {
+                expect(config.getLayer('loaded').data).to.deep.equal({a: 1, b: {c: 'd', e: [1, 2]}});
+            });
+        });
+    });
+
+    describe('INI', function() {
+        let iniFormat = require('../../index.js').formats.ini;
+        let legacyData = {
+            name: 'legacy',
+            logging: {
+                level: 'debug',
+                verbose: false,
+                file: {path: '/var/log/app.log', targets: ['file', 'syslog']}
+            }
+        };
+
+        it('load INI files and map sections to nested paths', function() {
+            return config.loadFromFile(path.join(dataPath, 'legacy.ini')).then(() => {
+                expect(config.getLayerNames()).to.deep.equal(['legacy']);
+                expect(config.get('')).to.deep.equal(legacyData);
+            });
+        });
+
+        it('strip inline comments following quoted values', function() {
+            let data = iniFormat.createFormat().parse([
+                'host = "x y" ; the host',
+                'name = \'a ; b\' # the name',
+                'path = "C:\\\\dir\\"" ; escaped',
+                'broken = "x" y'
+            ].join('\n'));
+            expect(data).to.deep.equal({host: 'x y', name: 'a ; b', path: 'C:\\dir"', broken: '"x" y'});
+        });
+
+        it('keep backslashes inside double-quoted values', function() {
+            let format = iniFormat.createFormat();
+            let data = format.parse('path = "C:\\Users\\me"\nline = "a\\nb"\nquoted = "say \\"hi\\" \\\\o/"');
+            expect(data).to.deep.equal({path: 'C:\\Users\\me', line: 'a\\nb', quoted: 'say "hi" \\o/'});
+            expect(format.parse(format.stringify(data))).to.deep.equal(data);
+            expect(() => format.stringify({text: 'a\nb'})).to.throw('Cannot store line breaks in INI values');
+        });
+
+        it('reject section and key names altering prototypes', function() {
+            let format = iniFormat.createFormat();
+            expect(() => format.parse('[__proto__]\npolluted = yes')).to.throw('Illegal INI section name in line 1');
+            expect(() => format.parse('[a.constructor]\nx = 1')).to.throw('Illegal INI section name in line 1');
+            expect(() => format.parse('[a]\n__proto__ = 1')).to.throw('Illegal INI key name in line 2');
+            expect(() => format.parse('prototype[] = 1')).to.throw('Illegal INI key name in line 1');
+            expect({}.polluted).to.equal(undefined);
+        });
+
+        it('keep dotted section names if requested', function() {
+            config.registerFormat('.ini', iniFormat.createFormat({dottedSections: false}));
+            return config.loadFromFile(path.join(dataPath, 'legacy.ini')).then(() => {
+                expect(config.get('logging')).to.deep.equal({level: 'debug', verbose: false});
+                expect(config.getLayer('legacy').data['logging.file']).to.deep.equal(legacyData.logging.file);
+            });
+        });
+
+        it('save INI files', function() {
+            let data = {a: 1, s: 'true', q: ' padded ', x: {y: null, z: {list: [1, 'two']}}};
+            config.addLayer('a', data).writeToDisk = true;
+            return config.saveToDirectory(storagePath, {extension: 'ini'}).then(() => {
+                expect(fs.readFileSync(path.join(storagePath, 'a.ini'), 'utf8')).to.equal(
+                    'a = 1\ns = "true"\nq = " padded "\n\n[x]\ny = null\n\n[x.z]\nlist[] = 1\nlist[] = two\n'
+                );
+                return config.loadFromFile(path.join(storagePath, 'a.ini'), 'loaded');
+            }).then(() => {
+                expect(config.getLayer('loaded').data).to.deep.equal(data);
+            });
+        });
+
+        it('reject saving nested sections without dotted section names', function() {
+            config.registerFormat('.ini', iniFormat.createFormat({dottedSections: false}));
+            config.addLayer('a', {x: {z: {a: 1}}});
+            return expect(config.saveToFile('a', path.join(storagePath, 'a.ini'))).to.eventually.be.rejected;
+        });
+    });
+
+    describe('registerFormat()', function() {
+        it('load and save files using custom formats', function() {
+            let fileName = path.join(storagePath, 'test.lines');
+            config.registerFormat('LINES', linesFormat);
+            return config.loadFromDirectory(dataPath)
+                .then(() => {
+                    expect(config.getLayerNames()).to.deep.equal(['server', 'legacy', 'db', 'custom', 'client']);
+                    expect(config.get('custom')).to.equal('true');
+                    return config.saveToFile('custom', fileName);
+                })
+                .then(() => {
+                    expect(fs.readFileSync(fileName, 'utf8')).to.equal('custom=true');
+                });
+        });
+
+        it('treat files with unknown extensions as Hjson', function() {
+            // Hjson parses the contents as a quoteless string - which is no valid configuration
+            return expect(config.loadFromFile(path.join(dataPath, 'custom.lines')))
+                .to.eventually.be.rejectedWith('Illegal configuration file');
+        });
+
+        it('throw an error if any of the parameters is of a wrong type', function() {
+            expect(() => config.registerFormat(1, linesFormat)).to.throw(TypeError);
+            expect(() => config.registerFormat('', linesFormat)).to.throw(TypeError);
+            expect(() => config.registerFormat('.x', {parse: () => ({})})).to.throw(TypeError);
+        });
+    });
+});
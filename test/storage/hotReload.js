@@ -0,0 +1,189 @@
+// Tests reloading watched files and directories
+/* global describe, it, beforeEach, afterEach */
+'use strict';
+
+let expect = require('chai').expect;
+let LayeredConfiguration = require('../../index.js').LayeredConfiguration;
+let fs = require('fs');
+let path = require('path');
+let rimraf = require('rimraf');
+
+describe('Reloading watched layer data', function() {
+    let watchPath = path.join(__dirname, 'watchTest');
+    let config;
+
+    // Waits for the next event of the given type
+    let waitFor = function(eventName) {
+        return new Promise((resolve, reject) => {
+            let timer = setTimeout(() => reject(new Error('Timeout waiting for ' + eventName)), 1500);
+            config.once(eventName, event => {
+                clearTimeout(timer);
+                resolve(event);
+            });
+        });
+    };
+
+    let write = function(fileName, content) {
+        fs.writeFileSync(path.join(watchPath, fileName), content);
+    };
+
+    beforeEach(function() {
+        config = new LayeredConfiguration();
+        fs.mkdirSync(watchPath);
+        write('a.hjson', '{a: 1}');
+        write('b.json', '{"b": 1}');
+    });
+
+    afterEach(function(done) {
+        config.unwatchFiles();
+        rimraf(watchPath, done);
+    });
+
+    describe('loadFromFile()', function() {
+        it('reload the layer when the file changes and keep its position', function() {
+            config.addLayer('top', {x: 1});
+            return config.loadFromFile(path.join(watchPath, 'a.hjson'), 'a', {watch: true, debounce: 10})
+                .then(() => {
+                    config.moveLayer('a', 1);
+                    config.getLayer('a').writeToDisk = true;
+                    write('a.hjson', '{a: 2}');
+                    return waitFor('load');
+                })
+                .then(event => {
+                    expect(event.changes).to.deep.equal([{path: 'a', oldValue: 1, newValue: 2}]);
+                    expect(config.getLayerNames()).to.deep.equal(['top', 'a']);
+                    expect(config.getLayer('a').writeToDisk).to.equal(true);
+                    expect(config.getLayer('a').sourceFile).to.equal(path.join(watchPath, 'a.hjson'));
+                });
+        });
+
+        it('keep the previous data and emit an error if the file cannot be parsed', function() {
+            return config.loadFromFile(path.join(watchPath, 'a.hjson'), 'a', {watch: true, debounce: 10})
+                .then(() => {
+                    write('a.hjson', '---- Illegal data ----');
+                    return waitFor('error');
+                })
+                .then(err => {
+                    expect(err).to.be.an.instanceof(Error);
+                    expect(config.get('a')).to.equal(1);
+                });
+        });
+
+        it('keep the previous data without error listeners', function() {
+            let reloaded = false;
+            return config.loadFromFile(path.join(watchPath, 'a.hjson'), 'a', {watch: true, debounce: 10})
+                .then(() => {
+                    write('a.hjson', '---- Illegal data ----');
+                    return new Promise(resolve => setTimeout(resolve, 200));
+                })
+                .then(() => {
+                    expect(config.get('a')).to.equal(1);
+                    // The watcher is still working
+                    config.once('load', () => {
+                        reloaded = true;
+                    });
+                    write('a.hjson', '{a: 3}');
+                    return new Promise(resolve => setTimeout(resolve, 200));
+                })
+                .then(() => {
+                    expect(reloaded).to.equal(true);
+                    expect(config.get('a')).to.equal(3);
+                });
+        });
+
+        it('stop reloading removed layers', function() {
+            return config.loadFromFile(path.join(watchPath, 'a.hjson'), 'a', {watch: true, debounce: 10})
+                .then(() => config.loadFromFile(path.join(watchPath, 'b.json'), 'b', {watch: true, debounce: 10}))
+                .then(() => {
+                    config.addLayer('other', {x: 1});
+                    config.removeLayer('a');
+                    write('a.hjson', '{a: 2}');
+                    return new Promise(resolve => setTimeout(resolve, 200));
+                })
+                .then(() => {
+                    expect(config.getLayerNames()).to.deep.equal(['other', 'b']);
+                    config.removeAllLayers();
+                    write('b.json', '{"b": 2}');
+                    return new Promise(resolve => setTimeout(resolve, 200));
+                })
+                .then(() => {
+                    expect(config.getLayerNames()).to.deep.equal([]);
+                });
+        });
+
+        it('ignore changes of other files', function() {
+            let changes = 0;
+            config.on('change', () => {
+                changes += 1;
+            });
+            return config.loadFromFile(path.join(watchPath, 'a.hjson'), 'a', {watch: true, debounce: 10})
+                .then(() => {
+                    changes = 0;
+                    write('b.json', '{"b": 2}');
+                    return new Promise(resolve => setTimeout(resolve, 200));
+                })
+                .then(() => {
+                    expect(changes).to.equal(0);
+                });
+        });
+
+        it('stop reloading after unwatchFiles()', function() {
+            return config.loadFromFile(path.join(watchPath, 'a.hjson'), 'a', {watch: true, debounce: 10})
+                .then(() => {
+                    config.unwatchFiles(path.join(watchPath, 'a.hjson'));
+                    write('a.hjson', '{a: 2}');
+                    return new Promise(resolve => setTimeout(resolve, 200));
+                })
+                .then(() => {
+                    expect(config.get('a')).to.equal(1);
+                });
+        });
+    });
+
+    describe('loadFromDirectory()', function() {
+        it('reload changed files, add new files and remove deleted files', function() {
+            let calls = 0;
+            return config.loadFromDirectory(watchPath, {watch: true, debounce: 50})
+                .then(() => {
+                    expect(config.getLayerNames()).to.deep.equal(['b', 'a']);
+                    config.watch('', () => {
+                        calls += 1;
+                    });
+                    write('a.hjson', '{a: 2}');
+                    write('c.hjson', '{c: 1}');
+                    fs.unlinkSync(path.join(watchPath, 'b.json'));
+                    return waitFor('load');
+                })
+                .then(() => {
+                    expect(calls).to.equal(1);
+                    expect(config.getLayerNames()).to.deep.equal(['c', 'a']);
+                    expect(config.getMerged('')).to.deep.equal({a: 2, c: 1});
+                });
+        });
+
+        it('add new files with the flags of the directory and skip removed layers', function() {
+            return config.loadFromDirectory(watchPath, {watch: true, debounce: 10, readOnly: true})
+                .then(() => {
+                    config.removeLayer('a');
+                    write('a.hjson', '{a: 2}');
+                    write('c.hjson', '{c: 1}');
+                    return waitFor('load');
+                })
+                .then(() => {
+                    expect(config.getLayerNames()).to.deep.equal(['c', 'b']);
+                    expect(config.getLayer('c').readOnly).to.equal(true);
+                });
+        });
+
+        it('keep the previous data of files that cannot be parsed', function() {
+            return config.loadFromDirectory(watchPath, {watch: true, debounce: 10})
+                .then(() => {
+                    write('b.json', '---- Illegal data ----');
+                    return waitFor('error');
+                })
+                .then(() => {
+                    expect(config.get('b')).to.equal(1);
+                });
+        });
+    });
+});
@@ -1,9 +1,10 @@
 // Tests loading the data from files
-/* global describe, it, beforeEach, before */
+/* global describe, it, beforeEach, before, after */
 'use strict';
 
 let expect = require('chai').expect;
 let config = require('../../index.js');
+let LayeredConfiguration = require('../../index.js').LayeredConfiguration;
 let path = require('path');
 
 describe('Loading layer data', function() {
@@ -47,6 +48,12 @@ describe('Loading layer data', function() {
                 return expect(config.loadFromFile(path.join(__dirname, 'illegalData', 'illegalData.json'), 'test'))
                     .to.eventually.be.rejected;
             });
+
+            it('load read-only layers', function() {
+                let promise = config.loadFromFile(path.join(__dirname, 'testData', 'a.hjson'), null, {readOnly: true})
+                    .then(config.set.bind(config, 'a.aa', 2, 'a'));
+                return expect(promise).to.eventually.be.rejectedWith('Layer a is read-only');
+            });
         });
 
         describe('loadFromDirectory()', function() {
@@ -153,5 +160,210 @@ describe('Loading layer data', function() {
                 );
             });
         });
+
+        describe('Type coercion', function() {
+            let variables = {
+                COERCE_PORT: '8080',
+                COERCE_DEBUG: 'false',
+                COERCE_EMPTY: 'null',
+                COERCE_HOSTS: '["a", "b"]',
+                COERCE_TAGS: 'x, y',
+                COERCE_NAME: 'test',
+                COERCE_VERBOSE: 'yes',
+                COERCE_RATIO: '1.5'
+            };
+            let otherConfig;
+
+            before(function() {
+                Object.assign(process.env, variables);
+            });
+
+            after(function() {
+                Object.keys(variables).forEach(name => delete process.env[name]);
+            });
+
+            beforeEach(function() {
+                otherConfig = new LayeredConfiguration();
+            });
+
+            it('keep strings by default', function() {
+                otherConfig.loadFromEnv({match: /^coerce_/});
+                expect(otherConfig.get('coerce_port')).to.equal('8080');
+            });
+
+            it('detect types automatically', function() {
+                otherConfig.loadFromEnv({match: /^coerce_/, separator: '_', coerce: true});
+                expect(otherConfig.get('coerce')).to.deep.equal({
+                    port: 8080,
+                    debug: false,
+                    empty: null,
+                    hosts: ['a', 'b'],
+                    tags: 'x, y',
+                    name: 'test',
+                    verbose: 'yes',
+                    ratio: 1.5
+                });
+                otherConfig.loadFromEnv({match: /^coerce_tags$/, coerce: 'auto', listSeparator: ','});
+                expect(otherConfig.get('coerce_tags')).to.deep.equal(['x', 'y']);
+            });
+
+            it('use the types of the schema and the other layers', function() {
+                otherConfig.addLayer('defaults', {coerce: {verbose: false, tags: [], port: 'string', name: 1}});
+                otherConfig.setSchema({properties: {coerce: {properties: {
+                    port: {type: 'integer'},
+                    ratio: {type: ['integer', 'string']},
+                    hosts: {type: 'array', items: {type: 'string'}}
+                }}}});
+                otherConfig.loadFromEnv({match: /^coerce_/, separator: '_', coerce: 'guided'});
+                expect(otherConfig.get('coerce')).to.deep.equal({
+                    port: 8080,
+                    debug: 'false',
+                    empty: 'null',
+                    hosts: ['a', 'b'],
+                    tags: ['x', 'y'],
+                    name: 'test',
+                    verbose: true,
+                    ratio: '1.5'
+                });
+            });
+
+            it('reject illegal coerce options', function() {
+                expect(() => otherConfig.loadFromEnv({coerce: 'sometimes'})).to.throw(TypeError);
+            });
+        });
+
+        describe('Prefixes and mappings', function() {
+            let variables = {
+                MYAPP_DB__HOST: 'localhost',
+                MYAPP_DB__MAX_CONNECTIONS: '10',
+                MYAPP_LOG_LEVEL: 'debug',
+                MYAPP_: 'empty',
+                OTHER_DB__HOST: 'other',
+                DATABASE_URL: 'postgres://localhost/db'
+            };
+            let otherConfig;
+
+            before(function() {
+                Object.assign(process.env, variables);
+            });
+
+            after(function() {
+                Object.keys(variables).forEach(name => delete process.env[name]);
+            });
+
+            beforeEach(function() {
+                otherConfig = new LayeredConfiguration();
+            });
+
+            it('strip the prefix and split names at the nesting separator', function() {
+                otherConfig.loadFromEnv({prefix: 'MYAPP_', nestingSeparator: '__'});
+                expect(Object.keys(otherConfig.getLayer('process_env').data)).to.deep.equal(['db', 'log_level']);
+                expect(Object.keys(otherConfig.get('db'))).to.deep.equal(['host', 'max_connections']);
+                expect(otherConfig.get('db.host')).to.equal('localhost');
+                expect(otherConfig.get('db.max_connections')).to.equal('10');
+                expect(otherConfig.get('log_level')).to.equal('debug');
+            });
+
+            it('compare the prefix case-sensitively if lowerCase is disabled', function() {
+                otherConfig.loadFromEnv({prefix: 'myapp_', lowerCase: false});
+                expect(otherConfig.getLayer('process_env').data).to.deep.equal({});
+                otherConfig.loadFromEnv({prefix: 'MYAPP_', nestingSeparator: '__', lowerCase: false, coerce: true});
+                expect(otherConfig.getLayer('process_env').data).to.deep.equal({
+                    DB: {HOST: 'localhost', MAX_CONNECTIONS: 10},
+                    LOG_LEVEL: 'debug'
+                });
+            });
+
+            it('store mapped variables at their paths', function() {
+                otherConfig.loadFromEnv({
+                    prefix: 'myapp_',
+                    separator: '__',
+                    match: /_db__/,
+                    mapping: {DATABASE_URL: 'db.url', OTHER_DB__HOST: 'db . fallback'}
+                });
+                expect(Object.keys(otherConfig.getLayer('process_env').data)).to.deep.equal(['db']);
+                expect(Object.keys(otherConfig.get('db')).sort()).to.deep.equal(
+                    ['fallback', 'host', 'max_connections', 'url']
+                );
+                expect(otherConfig.get('db.url')).to.equal('postgres://localhost/db');
+                expect(otherConfig.get('db.fallback')).to.equal('other');
+            });
+
+            it('reject illegal options', function() {
+                expect(() => otherConfig.loadFromEnv({prefix: 1})).to.throw(TypeError);
+                expect(() => otherConfig.loadFromEnv({mapping: 'db.url'})).to.throw(TypeError);
+                expect(() => otherConfig.loadFromEnv({mapping: {DATABASE_URL: ' . '}})).to.throw(TypeError);
+            });
+        });
+    });
+
+    describe('Loading layer data from command line arguments', function() {
+        let otherConfig;
+
+        beforeEach(function() {
+            otherConfig = new LayeredConfiguration();
+            otherConfig.addLayer('defaults', {db: {host: 'localhost', port: '1'}, cache: true});
+        });
+
+        it('load options into a layer with the highest priority', function() {
+            otherConfig.loadFromArgv(
+                ['--db.host=example.com', '--db.port', '5432', '--no-cache', '--tags', 'a', '--tags', 'b', '--verbose']
+            );
+            expect(otherConfig.getLayerNames()).to.deep.equal(['argv', 'defaults']);
+            expect(otherConfig.getLayer('argv').data).to.deep.equal({
+                db: {host: 'example.com', port: 5432},
+                cache: false,
+                tags: ['a', 'b'],
+                verbose: true
+            });
+        });
+
+        it('support short aliases, boolean flags and the end of options', function() {
+            otherConfig.loadFromArgv(['-p', '-1', '-vq', 'file.txt', '--dry-run', 'x', '--', '--ignored'], {
+                alias: {p: 'db.port', v: 'verbose', q: 'quiet'},
+                boolean: ['quiet', 'dry-run']
+            }, 'cli');
+            expect(otherConfig.getLayer('cli').data).to.deep.equal({
+                'db': {port: -1},
+                'verbose': true,
+                'quiet': true,
+                'dry-run': true
+            });
+        });
+
+        it('take values directly following short options', function() {
+            otherConfig.loadFromArgv(['-p5432', '-h.local', '-vq'], {alias: {p: 'db.port', h: 'db.host'}});
+            expect(otherConfig.getLayer('argv').data).to.deep.equal({
+                db: {port: 5432, host: '.local'},
+                v: true,
+                q: true
+            });
+        });
+
+        it('use the path separator of the instance', function() {
+            otherConfig.pathSeparator = '/';
+            otherConfig.loadFromArgv(['--db/host', 'example.com', '--a.b=c']);
+            expect(otherConfig.getLayer('argv').data).to.deep.equal({'db': {host: 'example.com'}, 'a.b': 'c'});
+        });
+
+        it('support the coerce option and the layer position', function() {
+            otherConfig.loadFromArgv(['--db.port', '5432', '--db.user', '12'], {coerce: 'guided', layerIndex: 1});
+            expect(otherConfig.getLayerNames()).to.deep.equal(['defaults', 'argv']);
+            expect(otherConfig.getLayer('argv').data).to.deep.equal({db: {port: '5432', user: '12'}});
+            otherConfig.loadFromArgv(['--db.port', '5432'], {coerce: false});
+            expect(otherConfig.get('db.port')).to.equal('5432');
+        });
+
+        it('ignore options altering prototypes', function() {
+            otherConfig.loadFromArgv(['--__proto__.polluted=1', '--a.constructor.prototype.x=2', '--a.b=3']);
+            expect({}.polluted).to.equal(undefined);
+            expect(otherConfig.getLayer('argv').data).to.deep.equal({a: {b: 3}});
+        });
+
+        it('reject illegal parameters', function() {
+            expect(() => otherConfig.loadFromArgv('--a')).to.throw(TypeError);
+            expect(() => otherConfig.loadFromArgv([], {layerIndex: -1})).to.throw(TypeError);
+            expect(() => otherConfig.loadFromArgv([], {coerce: 'never'})).to.throw(TypeError);
+        });
     });
 });
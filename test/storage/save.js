@@ -8,6 +8,7 @@ let fs = require('fs');
 let path = require('path');
 let rimraf = require('rimraf');
 let Hjson = require('hjson');
+let LayeredConfiguration = require('../../index.js').LayeredConfiguration;
 
 describe('Storing layer data to files', function() {
     let layerAData = {a: 1234, b: {ba: true}};
@@ -78,4 +79,328 @@ describe('Storing layer data to files', function() {
                 });
         });
     });
+
+    describe('Atomic saves', function() {
+        let otherConfig;
+        let fileName;
+
+        beforeEach(function() {
+            otherConfig = new LayeredConfiguration();
+            otherConfig.addLayer('user', {value: 1}).writeToDisk = true;
+            fileName = path.join(storagePath, 'user.hjson');
+        });
+
+        it('not leave temporary files behind', function() {
+            return otherConfig.saveToFile('user', fileName).then(() => {
+                otherConfig.set('value', 2);
+                return otherConfig.saveToFile('user', fileName);
+            }).then(() => {
+                expect(fs.readdirSync(storagePath)).to.deep.equal(['user.hjson']);
+                expect(Hjson.parse(fs.readFileSync(fileName, 'utf8'))).to.deep.equal({value: 2});
+            });
+        });
+
+        it('keep the configured number of backups', function() {
+            otherConfig.backupCount = 2;
+            let save = value => () => {
+                otherConfig.set('value', value);
+                return otherConfig.saveToFile('user', fileName);
+            };
+            return save(1)().then(save(2)).then(save(3)).then(save(4)).then(() => {
+                expect(fs.readdirSync(storagePath).sort()).to.deep.equal(
+                    ['user.hjson', 'user.hjson.bak.1', 'user.hjson.bak.2']
+                );
+                expect(Hjson.parse(fs.readFileSync(fileName + '.bak.1', 'utf8'))).to.deep.equal({value: 3});
+                expect(Hjson.parse(fs.readFileSync(fileName + '.bak.2', 'utf8'))).to.deep.equal({value: 2});
+                // The option overrides the default
+                return otherConfig.saveToFile('user', fileName, {backups: 0});
+            }).then(() => {
+                expect(Hjson.parse(fs.readFileSync(fileName + '.bak.1', 'utf8'))).to.deep.equal({value: 3});
+            });
+        });
+
+        it('restore backups', function() {
+            fs.writeFileSync(fileName, '{value: 1}');
+            fs.writeFileSync(fileName + '.bak.2', '{value: 2}');
+            fs.writeFileSync(fileName + '.bak.3', '{value: "illegal"}');
+            otherConfig.addLayer('top', {});
+            otherConfig.setSchema({properties: {value: {type: 'number'}}});
+            return otherConfig.loadFromFile(fileName).then(() => {
+                otherConfig.moveLayer('user', 1);
+                return otherConfig.restoreBackup('user', 2);
+            }).then(() => {
+                expect(otherConfig.get('value')).to.equal(2);
+                expect(otherConfig.getLayerNames()).to.deep.equal(['top', 'user']);
+                expect(fs.readFileSync(fileName, 'utf8')).to.equal('{value: 2}');
+                return expect(otherConfig.restoreBackup('user', 3))
+                    .to.eventually.be.rejectedWith('must be of type number');
+            }).then(() => {
+                expect(otherConfig.get('value')).to.equal(2);
+                expect(fs.readFileSync(fileName, 'utf8')).to.equal('{value: 2}');
+                return expect(otherConfig.restoreBackup('user', 4)).to.eventually.be.rejected;
+            }).then(() => {
+                return expect(otherConfig.restoreBackup('top')).to.eventually.be.rejectedWith('not been loaded');
+            });
+        });
+
+        it('keep the backups when writing a file fails', function() {
+            let envFileName = path.join(storagePath, 'user.env');
+            let rename = fs.rename;
+            [fileName, envFileName].forEach(target => {
+                fs.writeFileSync(target, 'old');
+                fs.writeFileSync(target + '.bak.1', 'backup 1');
+                fs.writeFileSync(target + '.bak.2', 'backup 2');
+            });
+            // Fail replacing the targets
+            fs.rename = (sourcePath, targetPath, callback) => {
+                if (targetPath === fileName || targetPath === envFileName) {
+                    return callback(new Error('Disk full'));
+                }
+                rename(sourcePath, targetPath, callback);
+            };
+            let restore = () => {
+                fs.rename = rename;
+            };
+            return expect(otherConfig.saveToFile('user', fileName, {backups: 2}))
+                .to.eventually.be.rejectedWith('Disk full')
+                .then(() => {
+                    return expect(otherConfig.saveToDotEnv('user', envFileName, {backups: 2}))
+                        .to.eventually.be.rejectedWith('Disk full');
+                })
+                .then(restore, err => {
+                    restore();
+                    throw err;
+                })
+                .then(() => {
+                    [fileName, envFileName].forEach(target => {
+                        expect(fs.readFileSync(target, 'utf8')).to.equal('old');
+                        expect(fs.readFileSync(target + '.bak.1', 'utf8')).to.equal('backup 1');
+                        expect(fs.readFileSync(target + '.bak.2', 'utf8')).to.equal('backup 2');
+                    });
+                });
+        });
+
+        it('rotate the backups of all files after saving a directory', function() {
+            fs.writeFileSync(fileName, '{value: "old"}');
+            fs.writeFileSync(fileName + '.bak.1', '{value: "backup 1"}');
+            return otherConfig.saveToDirectory(storagePath, {backups: 2}).then(() => {
+                expect(fs.readFileSync(fileName + '.bak.1', 'utf8')).to.equal('{value: "old"}');
+                expect(fs.readFileSync(fileName + '.bak.2', 'utf8')).to.equal('{value: "backup 1"}');
+                expect(Hjson.parse(fs.readFileSync(fileName, 'utf8'))).to.deep.equal({value: 1});
+            });
+        });
+
+        it('restore all files when saving a directory fails', function() {
+            otherConfig.addLayer('broken', {value: 'new'}).writeToDisk = true;
+            otherConfig.addLayer('added', {value: 'new'}).writeToDisk = true;
+            fs.writeFileSync(fileName, '{value: "old"}');
+            fs.writeFileSync(fileName + '.bak.1', '{value: "backup 1"}');
+            fs.writeFileSync(fileName + '.bak.2', '{value: "backup 2"}');
+            // A directory cannot be replaced by a file
+            fs.mkdirSync(path.join(storagePath, 'broken.hjson'));
+            let promise = otherConfig.saveToDirectory(storagePath, {backups: 2});
+            return expect(promise).to.eventually.be.rejected.then(() => {
+                expect(fs.readdirSync(storagePath).sort()).to.deep.equal(
+                    ['broken.hjson', 'user.hjson', 'user.hjson.bak.1', 'user.hjson.bak.2']
+                );
+                expect(fs.readFileSync(fileName, 'utf8')).to.equal('{value: "old"}');
+                // The backups have not been rotated
+                expect(fs.readFileSync(fileName + '.bak.1', 'utf8')).to.equal('{value: "backup 1"}');
+                expect(fs.readFileSync(fileName + '.bak.2', 'utf8')).to.equal('{value: "backup 2"}');
+            });
+        });
+    });
+
+    describe('Hjson round trips', function() {
+        let fileName;
+        let otherConfig;
+        let source = [
+            '# Server settings',
+            '{',
+            '    # Where to listen',
+            '    server: {',
+            '        host: localhost // the default host',
+            '        port: 80',
+            '    }',
+            '',
+            '    # Enabled features',
+            '    features: [',
+            '        a',
+            '        b',
+            '    ]',
+            '    zeta: 1',
+            '    alpha: 2',
+            '}',
+            ''
+        ].join('\n');
+
+        beforeEach(function() {
+            fileName = path.join(storagePath, 'user.hjson');
+            fs.writeFileSync(fileName, source);
+            otherConfig = new LayeredConfiguration();
+            return otherConfig.loadFromFile(fileName);
+        });
+
+        it('keep comments, whitespace and key order when saving a layer', function() {
+            otherConfig.set('server.port', 8080, 'user');
+            otherConfig.set('added', true, 'user');
+            otherConfig.set('zeta', undefined, 'user');
+            return otherConfig.saveToFile('user', fileName).then(() => {
+                expect(fs.readFileSync(fileName, 'utf8')).to.equal([
+                    '# Server settings',
+                    '{',
+                    '    # Where to listen',
+                    '    server: {',
+                    '        host: localhost // the default host',
+                    '        port: 8080',
+                    '    }',
+                    '',
+                    '    # Enabled features',
+                    '    features: [',
+                    '        a',
+                    '        b',
+                    '    ]',
+                    '    alpha: 2',
+                    '    added: true',
+                    '}',
+                    ''
+                ].join('\n'));
+                // Saving again uses the contents written last
+                otherConfig.set('alpha', 3, 'user');
+                return otherConfig.saveToFile('user', fileName);
+            }).then(() => {
+                let text = fs.readFileSync(fileName, 'utf8');
+                expect(text).to.contain('    alpha: 3\n    added: true\n');
+                expect(Hjson.parse(text)).to.deep.equal(otherConfig.getLayer('user').data);
+            });
+        });
+
+        it('only rewrite the changed values of realistic files', function() {
+            let realistic = [
+                '# Service configuration',
+                '{',
+                '    server: {',
+                '        host: localhost',
+                '',
+                '',
+                '        port: 80    # privileged',
+                '        tags: ["a","b"]',
+                '        limits: {cpu: 1, memory: 512}',
+                '    }',
+                '',
+                '    motd:',
+                '        \'\'\'',
+                '        Hello',
+                '        World',
+                '        \'\'\'',
+                '',
+                '    // Deprecated',
+                '    legacy: true',
+                '    alpha: 2',
+                '}',
+                ''
+            ];
+            fs.writeFileSync(fileName, realistic.join('\n'));
+            return otherConfig.loadFromFile(fileName).then(() => {
+                otherConfig.set('server.port', 8080, 'user');
+                otherConfig.set('server.limits.disk', 10, 'user');
+                otherConfig.set('legacy', undefined, 'user');
+                otherConfig.set('added', {list: [1, 2]}, 'user');
+                return otherConfig.saveToFile('user', fileName);
+            }).then(() => {
+                let expected = realistic.concat();
+                expected.splice(6, 1, '        port: 8080    # privileged');
+                expected.splice(8, 1, '        limits: {cpu: 1, memory: 512, disk: 10}');
+                expected.splice(17, 2);
+                expected.splice(18, 0, '    added: {', '        list: [', '            1', '            2',
+                    '        ]', '    }');
+                expect(fs.readFileSync(fileName, 'utf8')).to.equal(expected.join('\n'));
+            });
+        });
+
+        it('remove whole lines from files using CRLF line breaks', function() {
+            fs.writeFileSync(fileName, source.replace(/\n/g, '\r\n'));
+            return otherConfig.loadFromFile(fileName).then(() => {
+                otherConfig.set('zeta', undefined, 'user');
+                otherConfig.set('features', undefined, 'user');
+                return otherConfig.saveToFile('user', fileName);
+            }).then(() => {
+                let expected = source.replace('    zeta: 1\n', '')
+                    .replace('\n    # Enabled features\n    features: [\n        a\n        b\n    ]', '');
+                expect(fs.readFileSync(fileName, 'utf8')).to.equal(expected.replace(/\n/g, '\r\n'));
+            });
+        });
+
+        it('keep comments when saving into a directory', function() {
+            let targetPath = path.join(storagePath, 'target');
+            fs.mkdirSync(targetPath);
+            otherConfig.getLayer('user').writeToDisk = true;
+            otherConfig.set('alpha', 3, 'user');
+            return otherConfig.saveToDirectory(targetPath).then(() => {
+                expect(fs.readFileSync(path.join(targetPath, 'user.hjson'), 'utf8'))
+                    .to.equal(source.replace('alpha: 2', 'alpha: 3'));
+            });
+        });
+
+        it('write other formats without the original contents', function() {
+            let jsonFile = path.join(storagePath, 'user.json');
+            return otherConfig.saveToFile('user', jsonFile).then(() => {
+                expect(JSON.parse(fs.readFileSync(jsonFile, 'utf8'))).to.deep.equal(otherConfig.getLayer('user').data);
+            });
+        });
+    });
+
+    describe('Encrypted secrets', function() {
+        let otherConfig;
+
+        beforeEach(function() {
+            otherConfig = new LayeredConfiguration();
+            otherConfig.addLayer('user', {db: {host: 'localhost', password: 'hunter2'}, api: {token: {id: 1}}});
+            otherConfig.addSecretPattern('**.password');
+            otherConfig.addSecretPattern('api.token');
+            otherConfig.setEncryptionKey('passphrase');
+        });
+
+        it('encrypt secret values when saving and decrypt them when loading', function() {
+            let fileName = path.join(storagePath, 'user.hjson');
+            return otherConfig.saveToFile('user', fileName).then(() => {
+                let data = Hjson.parse(fs.readFileSync(fileName, 'utf8'));
+                expect(data.db.host).to.equal('localhost');
+                expect(data.db.password).to.match(/^enc:v1:/);
+                expect(data.api.token).to.match(/^enc:v1:/);
+                let loadingConfig = new LayeredConfiguration();
+                loadingConfig.setEncryptionKey('passphrase');
+                return loadingConfig.loadFromFile(fileName, 'user').then(() => {
+                    expect(loadingConfig.get('')).to.deep.equal(otherConfig.get(''));
+                    expect(loadingConfig.isSecret('db.password')).to.equal(true);
+                    expect(loadingConfig.isSecret('db.host')).to.equal(false);
+                    expect(loadingConfig.dump('api')).to.deep.equal({token: '[REDACTED]'});
+                });
+            });
+        });
+
+        it('reject loading encrypted values without the correct key', function() {
+            let fileName = path.join(storagePath, 'user.json');
+            return otherConfig.saveToFile('user', fileName).then(() => {
+                let loadingConfig = new LayeredConfiguration();
+                return expect(loadingConfig.loadFromFile(fileName)).to.eventually.be.rejectedWith(
+                    'Cannot decrypt the value at path db.password in file ' + fileName + ': no encryption key set'
+                );
+            }).then(() => {
+                let loadingConfig = new LayeredConfiguration();
+                loadingConfig.setEncryptionKey('wrong');
+                return expect(loadingConfig.loadFromFile(fileName)).to.eventually.be.rejectedWith(
+                    'wrong key or corrupted data'
+                );
+            });
+        });
+
+        it('write secret values in plain text without a key', function() {
+            let fileName = path.join(storagePath, 'user.json');
+            otherConfig.setEncryptionKey(null);
+            return otherConfig.saveToFile('user', fileName).then(() => {
+                expect(JSON.parse(fs.readFileSync(fileName, 'utf8'))).to.deep.equal(otherConfig.getLayer('user').data);
+            });
+        });
+    });
 });
@@ -0,0 +1,156 @@
+// Tests the schema validation
+/* global describe, it, beforeEach */
+'use strict';
+
+let expect = require('chai').expect;
+let path = require('path');
+let layeredConfig = require('../../index.js');
+let LayeredConfiguration = layeredConfig.LayeredConfiguration;
+let Schema = layeredConfig.Schema;
+let ValidationError = layeredConfig.ValidationError;
+
+describe('Schema validation', function() {
+    let definition = {
+        type: 'object',
+        required: ['db', 'name'],
+        properties: {
+            name: {type: 'string', minLength: 3, maxLength: 10, pattern: '^[a-z]+$'},
+            mode: {enum: ['dev', 'prod']},
+            db: {
+                type: 'object',
+                required: ['host'],
+                additionalProperties: false,
+                properties: {
+                    host: {type: 'string'},
+                    port: {type: 'integer', minimum: 1, maximum: 65535},
+                    timeout: {type: ['number', 'null'], exclusiveMinimum: 0}
+                }
+            },
+            tags: {type: 'array', maxItems: 2, items: {type: 'string'}},
+            aa: {type: 'object'}
+        }
+    };
+
+    describe('Schema', function() {
+        let schema = new Schema(definition);
+        let messages = errors => errors.map(error => error.pathArray.join('.') + ' ' + error.message);
+
+        it('accept valid data', function() {
+            expect(schema.validate({name: 'abc', db: {host: 'localhost', port: 80, timeout: null}})).to.deep.equal([]);
+        });
+
+        it('report path-specific errors', function() {
+            expect(messages(schema.validate({
+                name: 'ABCDEFGHIJKL',
+                mode: 'test',
+                db: {port: 0, timeout: 0, foo: 1},
+                tags: ['a', 1, 'c']
+            }))).to.deep.equal([
+                'name must be at most 10 characters long',
+                'name must match the pattern ^[a-z]+$',
+                'mode must be one of ["dev","prod"]',
+                'db.host is required',
+                'db.port must be >= 1',
+                'db.timeout must be > 0',
+                'db.foo is not allowed',
+                'tags must contain at most 2 items',
+                'tags.1 must be of type string'
+            ]);
+            expect(messages(schema.validate({db: 'x'}))).to.deep.equal([
+                'name is required',
+                'db must be of type object'
+            ]);
+        });
+
+        it('skip required properties in partial mode', function() {
+            expect(schema.validate({db: {port: 80}}, {partial: true})).to.deep.equal([]);
+        });
+
+        it('throw an error for illegal definitions', function() {
+            expect(() => new Schema('foo')).to.throw(TypeError);
+        });
+    });
+
+    describe('LayeredConfiguration', function() {
+        let config;
+
+        beforeEach(function() {
+            config = new LayeredConfiguration();
+            config.addLayer('defaults', {name: 'app', db: {port: 5432}});
+            config.setSchema(definition);
+        });
+
+        it('validate values written by set()', function() {
+            config.set('db.port', 1234);
+            expect(() => config.set('db.port', 'foo')).to.throw(ValidationError);
+            expect(() => config.set('db', {foo: true})).to.throw(ValidationError);
+            expect(() => config.set('db.port', 0, 'newLayer')).to.throw(ValidationError);
+            expect(config.get('db.port')).to.equal(1234);
+            expect(config.getLayerNames()).to.deep.equal(['defaults']);
+        });
+
+        it('report the paths of the errors', function() {
+            try {
+                config.set('db', {port: 'foo', bar: 1});
+            } catch (e) {
+                expect(e).to.be.an.instanceof(ValidationError);
+                expect(e.errors).to.deep.equal([
+                    {path: 'db.port', message: 'must be of type integer'},
+                    {path: 'db.bar', message: 'is not allowed'}
+                ]);
+                return;
+            }
+            throw new Error('No error has been thrown');
+        });
+
+        it('validate layers added by addLayer()', function() {
+            expect(() => config.addLayer('user', {mode: 'test'})).to.throw(ValidationError);
+            expect(() => config.addLayerAfter('user', {tags: [1]}, 'defaults')).to.throw(ValidationError);
+            expect(config.getLayerNames()).to.deep.equal(['defaults']);
+            config.addLayer('user', {mode: 'prod'});
+            expect(config.getLayerNames()).to.deep.equal(['user', 'defaults']);
+        });
+
+        it('reject loading files containing invalid data', function() {
+            config.setSchema({properties: {a: {type: 'string'}}});
+            return expect(config.loadFromFile(path.join(__dirname, '..', 'storage', 'testData', 'a.hjson')))
+                .to.eventually.be.rejectedWith(ValidationError)
+                .then(() => {
+                    expect(config.getLayerNames()).to.deep.equal(['defaults']);
+                });
+        });
+
+        it('reject loading directories containing invalid data and restore the last state', function() {
+            config.setSchema({properties: {c: {type: 'string'}}});
+            return expect(config.loadFromDirectory(path.join(__dirname, '..', 'storage', 'testData')))
+                .to.eventually.be.rejectedWith(ValidationError)
+                .then(() => {
+                    expect(config.getLayerNames()).to.deep.equal(['defaults']);
+                });
+        });
+
+        it('validate values containing references once they have been resolved', function() {
+            config.addLayer('base', {base: {port: 6543, name: 'base'}});
+            config.set('db.port', '${base.port}', 'defaults');
+            config.addLayer('user', {name: '${base.name}', tags: ['${base.name}']});
+            expect(() => config.set('db.port', '$${base.port}', 'defaults')).to.throw(ValidationError);
+            expect(config.get('db.port')).to.equal(6543);
+            config.set('db.host', 'localhost');
+            config.validate();
+            config.set('base.port', 'foo', 'base');
+            expect(() => config.validate()).to.throw(ValidationError, 'db.port must be of type integer');
+        });
+
+        it('validate the effective configuration', function() {
+            expect(() => config.validate()).to.throw(ValidationError, 'db.host is required');
+            config.addLayer('user', {db: {host: 'localhost'}});
+            config.validate();
+        });
+
+        it('skip validation when the schema has been detached', function() {
+            config.setSchema(null);
+            config.set('db.port', 'foo');
+            config.validate();
+        });
+    });
+});